@@ -0,0 +1,217 @@
+import { getLogContext, logger } from "./logger.server.js";
+import { elapsedSeconds, metrics } from "./metrics.server.js";
+
+// Shared Admin GraphQL client for the backend. Throttled queries, 429s, 5xx
+// responses and network failures are retried with jittered exponential
+// backoff; throttled retries wait for the cost bucket to refill rather than a
+// fixed delay. Each call retries on its own, so a paged crawl resumes from the
+// cursor it was on instead of starting over.
+
+export const ADMIN_API_VERSION = "2025-10";
+
+// 0 is a valid setting: fail on the first error
+const configuredRetries = Number.parseInt(
+  process.env.ADMIN_API_MAX_RETRIES,
+  10,
+);
+const MAX_RETRIES =
+  Number.isFinite(configuredRetries) && configuredRetries >= 0
+    ? configuredRetries
+    : 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * A failed Admin API call. `code` is THROTTLED, HTTP_ERROR, NETWORK_ERROR or
+ * GRAPHQL_ERROR; `errors` holds the GraphQL errors when there were any.
+ * Paged readers set `cursor` to the page that failed.
+ */
+export class AdminGraphqlError extends Error {
+  constructor(message, { code, status = null, errors = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "AdminGraphqlError";
+    this.code = code;
+    this.status = status;
+    this.errors = errors;
+    this.cursor = null;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      code: this.code,
+      status: this.status,
+      errors: this.errors,
+      cursor: this.cursor,
+    };
+  }
+}
+
+// When each shop's cost bucket is expected to have room again. Keyed by shop
+// because the bucket is the shop's: every request builds a new admin context
+const throttledUntil = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Milliseconds until the bucket holds `needed` points again
+function refillDelay(throttleStatus, needed) {
+  if (!throttleStatus?.restoreRate) return 0;
+  const missing = needed - throttleStatus.currentlyAvailable;
+  return missing > 0 ? (missing / throttleStatus.restoreRate) * 1000 : 0;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// One request, as { status, body, retryAfter }. Network failures throw.
+async function send(source, query, variables) {
+  if (typeof source?.graphql === "function") {
+    try {
+      const response = await source.graphql(query, { variables });
+      return { status: 200, body: await response.json() };
+    } catch (err) {
+      // Auth redirects from authenticate.admin pass straight through
+      if (err instanceof Response) throw err;
+      // GraphqlQueryError / HttpResponseError from @shopify/shopify-api
+      if (err.body || err.response?.code) {
+        return {
+          status: err.response?.code ?? 200,
+          body: err.body ?? null,
+          retryAfter: err.response?.retryAfter,
+        };
+      }
+      throw err;
+    }
+  }
+
+  const session = source;
+  if (!session?.accessToken) {
+    throw new AdminGraphqlError("No valid session token", {
+      code: "HTTP_ERROR",
+      status: 401,
+    });
+  }
+
+  const response = await fetch(
+    `https://${session.shop}/admin/api/${ADMIN_API_VERSION}/graphql.json`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": session.accessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    },
+  );
+  return {
+    status: response.status,
+    body: await response.json().catch(() => null),
+    retryAfter: response.headers.get("Retry-After"),
+  };
+}
+
+/**
+ * Runs an Admin GraphQL query and returns its `data`. `source` is either a
+ * stored (offline) session or the `admin` context from `authenticate.admin`.
+ * Throws AdminGraphqlError once retries are exhausted or on a non-retryable
+ * failure.
+ */
+export async function adminGraphql(source, query, variables = {}) {
+  // Sessions know their shop; an admin context leaves it to the log context
+  const labels = { shop: source?.shop ?? getLogContext().shop };
+  const start = performance.now();
+  try {
+    return await sendWithRetries(source, query, variables, labels);
+  } finally {
+    metrics.graphqlDuration.observe(labels, elapsedSeconds(start));
+  }
+}
+
+async function sendWithRetries(source, query, variables, labels) {
+  for (let attempt = 0; ; attempt++) {
+    const waitUntil = throttledUntil.get(labels.shop);
+    if (waitUntil > Date.now()) await sleep(waitUntil - Date.now());
+    else if (waitUntil) throttledUntil.delete(labels.shop);
+
+    let failure;
+    let delay = backoffDelay(attempt);
+
+    try {
+      const { status, body, retryAfter } = await send(source, query, variables);
+      const errors = body?.errors ?? [];
+      const cost = body?.extensions?.cost;
+      const throttled = errors.some(
+        (error) => error.extensions?.code === "THROTTLED",
+      );
+
+      if (cost?.actualQueryCost) {
+        metrics.graphqlCost.inc(labels, cost.actualQueryCost);
+      }
+
+      if (throttled) {
+        failure = new AdminGraphqlError("Admin API query was throttled", {
+          code: "THROTTLED",
+          status,
+          errors,
+        });
+        delay += refillDelay(cost?.throttleStatus, cost?.requestedQueryCost);
+      } else if (status !== 200 || !body) {
+        failure = new AdminGraphqlError(
+          `Admin API request failed with HTTP ${status}`,
+          { code: "HTTP_ERROR", status, errors },
+        );
+        if (!isRetryableStatus(status)) throw failure;
+        if (retryAfter) delay = Math.max(delay, Number(retryAfter) * 1000);
+      } else if (errors.length) {
+        throw new AdminGraphqlError(
+          `GraphQL query failed: ${errors.map((error) => error.message).join("; ")}`,
+          { code: "GRAPHQL_ERROR", status, errors },
+        );
+      } else {
+        // Pause the next call up front if this one drained the bucket
+        const wait = refillDelay(
+          cost?.throttleStatus,
+          cost?.requestedQueryCost,
+        );
+        if (wait && labels.shop) {
+          throttledUntil.set(labels.shop, Date.now() + wait);
+        }
+        metrics.graphqlRequests.inc({ ...labels, outcome: "ok" });
+        return body.data;
+      }
+    } catch (err) {
+      if (err instanceof AdminGraphqlError) {
+        metrics.graphqlRequests.inc({ ...labels, outcome: "error" });
+      }
+      if (err instanceof AdminGraphqlError || err instanceof Response) {
+        throw err;
+      }
+      failure = new AdminGraphqlError(
+        `Admin API request failed: ${err.message}`,
+        { code: "NETWORK_ERROR", cause: err },
+      );
+    }
+
+    metrics.graphqlRequests.inc({
+      ...labels,
+      outcome: failure.code === "THROTTLED" ? "throttled" : "error",
+    });
+    if (attempt >= MAX_RETRIES) throw failure;
+    logger.warn("Admin API call failed, retrying", {
+      shop: labels.shop,
+      code: failure.code,
+      status: failure.status,
+      error: failure.message,
+      attempt: attempt + 1,
+      maxRetries: MAX_RETRIES,
+      delayMs: Math.round(delay),
+    });
+    await sleep(delay);
+  }
+}
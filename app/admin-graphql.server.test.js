@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AdminGraphqlError, adminGraphql } from "./admin-graphql.server.js";
+
+const reply = (body) => ({ json: async () => body });
+const ok = (data, cost) => reply({ data, extensions: { cost } });
+const throttled = reply({
+  errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+});
+const httpError = (code) =>
+  Object.assign(new Error(`HTTP ${code}`), { response: { code } });
+
+// An admin-context stand-in for `shop`, answering with `responses` in order
+function adminFor(shop, ...responses) {
+  const graphql = vi.fn();
+  responses.forEach((response) =>
+    response instanceof Error
+      ? graphql.mockRejectedValueOnce(response)
+      : graphql.mockResolvedValueOnce(response),
+  );
+  return { shop, graphql };
+}
+
+async function importWithRetries(retries) {
+  vi.resetModules();
+  vi.stubEnv("ADMIN_API_MAX_RETRIES", retries);
+  return (await import("./admin-graphql.server.js")).adminGraphql;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+  vi.resetModules();
+});
+
+describe("adminGraphql", () => {
+  it("retries a throttled query until it goes through", async () => {
+    const admin = adminFor(
+      "throttled.myshopify.com",
+      throttled,
+      throttled,
+      ok({ shop: { name: "Lab" } }),
+    );
+
+    const result = adminGraphql(admin, "query { shop { name } }");
+    await vi.runAllTimersAsync();
+
+    expect(await result).toEqual({ shop: { name: "Lab" } });
+    expect(admin.graphql).toHaveBeenCalledTimes(3);
+  });
+
+  it("retries 5xx responses and network failures", async () => {
+    const admin = adminFor(
+      "flaky.myshopify.com",
+      httpError(503),
+      new Error("socket hang up"),
+      ok({ shop: null }),
+    );
+
+    const result = adminGraphql(admin, "query { shop { name } }");
+    await vi.runAllTimersAsync();
+
+    expect(await result).toEqual({ shop: null });
+    expect(admin.graphql).toHaveBeenCalledTimes(3);
+  });
+
+  it("fails at once on errors a retry won't fix", async () => {
+    const admin = adminFor("denied.myshopify.com", httpError(403));
+
+    await expect(
+      adminGraphql(admin, "query { shop { name } }"),
+    ).rejects.toMatchObject({ code: "HTTP_ERROR", status: 403 });
+    expect(admin.graphql).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up once the retries are exhausted", async () => {
+    const withTwoRetries = await importWithRetries("2");
+    const admin = adminFor(
+      "exhausted.myshopify.com",
+      throttled,
+      throttled,
+      throttled,
+      ok({}),
+    );
+
+    const result = withTwoRetries(admin, "query { shop { name } }").catch(
+      (err) => err,
+    );
+    await vi.runAllTimersAsync();
+
+    expect(await result).toMatchObject({
+      name: "AdminGraphqlError",
+      code: "THROTTLED",
+    });
+    expect(admin.graphql).toHaveBeenCalledTimes(3);
+  });
+
+  it("honours a retry limit of 0", async () => {
+    const withoutRetries = await importWithRetries("0");
+    const admin = adminFor("once.myshopify.com", throttled, ok({}));
+
+    await expect(
+      withoutRetries(admin, "query { shop { name } }"),
+    ).rejects.toMatchObject({ code: "THROTTLED" });
+    expect(admin.graphql).toHaveBeenCalledTimes(1);
+  });
+
+  it("holds back a shop that drained its bucket, and only that shop", async () => {
+    const drained = {
+      requestedQueryCost: 1000,
+      throttleStatus: { currentlyAvailable: 0, restoreRate: 50 },
+    };
+    const busy = adminFor(
+      "busy.myshopify.com",
+      ok({ page: 1 }, drained),
+      ok({ page: 2 }),
+    );
+    const other = adminFor("other.myshopify.com", ok({ page: 1 }));
+
+    await adminGraphql(busy, "query { page }");
+    const next = adminGraphql(busy, "query { page }");
+
+    expect(await adminGraphql(other, "query { page }")).toEqual({ page: 1 });
+    expect(busy.graphql).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(20000);
+    expect(await next).toEqual({ page: 2 });
+    expect(busy.graphql).toHaveBeenCalledTimes(2);
+  });
+
+  it("fails at once on GraphQL errors", async () => {
+    const admin = adminFor(
+      "broken.myshopify.com",
+      reply({ errors: [{ message: "Field 'nope' doesn't exist" }] }),
+    );
+
+    await expect(adminGraphql(admin, "query { nope }")).rejects.toBeInstanceOf(
+      AdminGraphqlError,
+    );
+  });
+});
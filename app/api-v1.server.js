@@ -0,0 +1,451 @@
+import {
+  ApiError,
+  appProxyJson,
+  corsHeaders,
+  describeError,
+  findProductCoas,
+  linkOptions,
+} from "./app-proxy.server.js";
+import {
+  MAX_PAGE_SIZE,
+  MAX_SEARCH_LENGTH,
+  PROXY_PARAMS,
+  SORT_FIELDS,
+  expiryStatus,
+  paginateCoas,
+  parseCoaQuery,
+} from "./coa-query.server.js";
+import { isIsoDate, metaobjectNumericId } from "./coa-editor.server.js";
+import { toCoas } from "./metaobjects.server.js";
+import { parseProductLookup } from "./product-coas.server.js";
+import { currentRequestId } from "./request-context.server.js";
+import { getShopSettings } from "./settings.server.js";
+import {
+  fetchStorefrontMetaobjects,
+  getStorefrontAccess,
+} from "./storefront-access.server.js";
+import { StorefrontApiError } from "./storefront-client.js";
+import { loadMetaobjects } from "./sync.server.js";
+
+// Version 1 of the public JSON API, served through the app proxy at
+// /apps/coa/api/v1/... and described by /api/v1/openapi.json. The headless
+// endpoint is the exception: headless storefronts have no app proxy, so they
+// call /api/v1/headless/coas on the app's own domain.
+//
+// Everything a v1 client sees is shaped here rather than by the storefront
+// endpoints' helpers, so those can keep changing. Once published, v1 only
+// gains optional fields; anything else goes into a v2 module next to this one.
+
+export const API_VERSION = "v1";
+
+// Added by Shopify's app proxy, never sent by clients
+const PROXY_PARAM_NAMES = new Set(PROXY_PARAMS);
+
+/**
+ * Query parameters per operation, in OpenAPI's parameter format. They drive
+ * both request validation and the published document.
+ */
+export const PARAMETERS = {
+  listCoas: [
+    {
+      name: "page",
+      description: "1-based page number. Ignored when `cursor` is given.",
+      schema: { type: "integer", minimum: 1 },
+    },
+    {
+      name: "page_size",
+      description: "Certificates per page. Defaults to the shop's setting.",
+      schema: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE },
+    },
+    {
+      name: "cursor",
+      description: "Opaque cursor from `meta.next_cursor` or `prev_cursor`.",
+      schema: { type: "string" },
+    },
+    {
+      name: "sort",
+      description:
+        "Field to sort by. `relevance` needs `q` and is its default. Otherwise the shop's default sort applies.",
+      schema: {
+        type: "string",
+        enum: [...Object.keys(SORT_FIELDS), "relevance"],
+      },
+    },
+    {
+      name: "order",
+      description: "Dates default to newest first, text to A-Z.",
+      schema: { type: "string", enum: ["asc", "desc"] },
+    },
+    {
+      name: "q",
+      description: "Search across product names and batch numbers.",
+      schema: { type: "string", maxLength: MAX_SEARCH_LENGTH },
+    },
+    {
+      name: "product",
+      description: "Product name contains this text (case-insensitive).",
+      schema: { type: "string" },
+    },
+    {
+      name: "batch_number",
+      description: "Batch number contains this text (case-insensitive).",
+      schema: { type: "string" },
+    },
+    {
+      name: "date_from",
+      description: "Tested on or after this date.",
+      schema: { type: "string", format: "date" },
+    },
+    {
+      name: "date_to",
+      description: "Tested on or before this date.",
+      schema: { type: "string", format: "date" },
+    },
+    {
+      name: "not_expired",
+      description: "Leave out certificates past their best-by date.",
+      schema: { type: "boolean" },
+    },
+  ],
+  listProductCoas: [
+    {
+      name: "handle",
+      description: "Product handle. Pass exactly one of handle, id or sku.",
+      schema: { type: "string" },
+    },
+    {
+      name: "id",
+      description: "Numeric product ID or product GID.",
+      schema: { type: "string" },
+    },
+    {
+      name: "sku",
+      description: "SKU of any of the product's variants.",
+      schema: { type: "string" },
+    },
+  ],
+  listHeadlessCoas: [
+    {
+      name: "shop",
+      description: "The shop's myshopify domain.",
+      required: true,
+      schema: {
+        type: "string",
+        pattern: "^[a-z0-9][a-z0-9-]*\\.myshopify\\.com$",
+      },
+    },
+    {
+      name: "first",
+      description: "Records to read. Defaults to the shop's page size.",
+      schema: { type: "integer", minimum: 1, maximum: 250 },
+    },
+    {
+      name: "after",
+      description: "`meta.next_cursor` from the previous page.",
+      schema: { type: "string" },
+    },
+  ],
+};
+
+function checkParameter(value, { name, schema }) {
+  if (schema.type === "integer") {
+    const number = Number(value);
+    if (!/^\d+$/.test(value)) return `${name} must be an integer`;
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      return `${name} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      return `${name} must be at most ${schema.maximum}`;
+    }
+    return null;
+  }
+  if (schema.type === "boolean") {
+    return ["true", "false", "1", "0"].includes(value)
+      ? null
+      : `${name} must be true or false`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${name} must be one of ${schema.enum.join(", ")}`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `${name} must be at most ${schema.maxLength} characters`;
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return `${name} is malformed`;
+  }
+  if (schema.format === "date" && !isIsoDate(value)) {
+    return `${name} must be a date (YYYY-MM-DD)`;
+  }
+  return null;
+}
+
+/**
+ * Checks `searchParams` against an operation's parameters, reporting every
+ * bad value at once as a 400 with `details: [{ parameter, message }]`.
+ * Parameters the operation doesn't define are rejected too, so a typo can't
+ * silently return an unfiltered list.
+ */
+export function validateParameters(searchParams, parameters) {
+  const known = new Map(parameters.map((param) => [param.name, param]));
+  const details = [];
+
+  new Set(searchParams.keys()).forEach((name) => {
+    const param = known.get(name);
+    if (!param) {
+      if (PROXY_PARAM_NAMES.has(name)) return;
+      details.push({ parameter: name, message: `Unknown parameter ${name}` });
+      return;
+    }
+    const message = checkParameter(searchParams.get(name), param);
+    if (message) details.push({ parameter: name, message });
+  });
+  parameters
+    .filter((param) => param.required && !searchParams.get(param.name))
+    .forEach(({ name }) => {
+      details.push({ parameter: name, message: `${name} is required` });
+    });
+
+  if (details.length) {
+    throw new ApiError(
+      400,
+      "invalid_parameter",
+      details.map((detail) => detail.message).join("; "),
+      details,
+    );
+  }
+}
+
+// `{ error: { code, message, details, request_id } }`, whatever went wrong
+function errorEnvelope({ status, code, message, details = null }) {
+  return {
+    error: {
+      code,
+      // Internal failures don't leak exception messages to the public, and
+      // upstream failures don't pass on what Shopify said
+      message: status === 500 ? "Something went wrong on our side" : message,
+      details: status >= 500 ? null : details,
+      request_id: currentRequestId() ?? null,
+    },
+  };
+}
+
+/**
+ * appProxyJson with v1 error envelopes. v1 is read-only, so anything but
+ * GET (and CORS preflights) is refused with a 405.
+ */
+export function apiJson(request, handler) {
+  return appProxyJson(
+    request,
+    (context) => {
+      if (request.method !== "GET" && request.method !== "HEAD") {
+        throw new ApiError(
+          405,
+          "method_not_allowed",
+          `${request.method} is not supported; use GET`,
+        );
+      }
+      return handler(context);
+    },
+    { errorBody: errorEnvelope },
+  );
+}
+
+/**
+ * For endpoints reached directly rather than through the app proxy: CORS and
+ * v1 error envelopes, with no Shopify session loaded at all.
+ */
+export async function headlessJson(request, handler) {
+  const headers = await corsHeaders(request);
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers });
+  }
+
+  try {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      throw new ApiError(
+        405,
+        "method_not_allowed",
+        `${request.method} is not supported; use GET`,
+      );
+    }
+    const body = await handler({ url: new URL(request.url) });
+    return Response.json(body, { headers });
+  } catch (err) {
+    const error = describeError(err);
+    return Response.json(errorEnvelope(error), {
+      status: error.status,
+      headers,
+    });
+  }
+}
+
+/**
+ * The v1 certificate. Every property is always present: columns the shop
+ * hides, and fields a record leaves empty, are null.
+ */
+export function toApiCoa(coa, settings) {
+  const visible = new Set(settings.visibleColumns);
+  const show = (key, value) => (visible.has(key) ? (value ?? null) : null);
+
+  return {
+    id: metaobjectNumericId(coa.id),
+    product_name: show("product_name", coa.product),
+    batch_number: show("batch_number", coa.batch_number),
+    test_date: show("date", coa.date),
+    best_by_date: show("best_by_date", coa.best_by_date),
+    status: expiryStatus(coa.best_by_date, {
+      days: settings.expiringSoonDays,
+    }),
+    pdf:
+      visible.has("pdf_link") && coa.pdf
+        ? {
+            url: coa.pdf.url,
+            filename: coa.pdf.filename ?? null,
+            mime_type: coa.pdf.mimeType ?? null,
+            size: coa.pdf.size ?? null,
+          }
+        : null,
+  };
+}
+
+async function loadShopCoas({ session, admin }) {
+  const settings = await getShopSettings(session.shop);
+  const metaobjects = await loadMetaobjects(
+    admin,
+    session.shop,
+    settings.metaobjectType,
+  );
+  return { settings, coas: toCoas(metaobjects, settings.requiredFields) };
+}
+
+/** GET /coas: one page of the shop's certificates. */
+export async function listCoas(context) {
+  const { url } = context;
+  validateParameters(url.searchParams, PARAMETERS.listCoas);
+
+  const { settings, coas } = await loadShopCoas(context);
+  // parseCoaQuery knows page_size by its storefront name
+  const params = new URLSearchParams(url.searchParams);
+  params.delete("page_size");
+  if (url.searchParams.has("page_size")) {
+    params.set("pageSize", url.searchParams.get("page_size"));
+  }
+  const query = parseCoaQuery(params, {
+    pageSize: settings.pageSize,
+    sort: settings.defaultSort,
+    order: settings.defaultOrder,
+  });
+  const page = paginateCoas(coas, query, linkOptions(url));
+
+  return {
+    data: page.items.map((coa) => toApiCoa(coa, settings)),
+    meta: {
+      page: page.page,
+      page_size: page.pageSize,
+      total_count: page.totalCount,
+      total_pages: page.totalPages,
+      sort: page.sort,
+      order: page.order,
+      next_cursor: page.nextCursor,
+      prev_cursor: page.prevCursor,
+    },
+    links: page.links,
+  };
+}
+
+/** GET /coas/{id}: one certificate by its numeric metaobject ID. */
+export async function getCoa(context, id) {
+  validateParameters(context.url.searchParams, []);
+  if (!/^\d+$/.test(id || "")) {
+    throw new ApiError(400, "invalid_parameter", "id must be numeric", [
+      { parameter: "id", message: "id must be numeric" },
+    ]);
+  }
+
+  const { settings, coas } = await loadShopCoas(context);
+  const coa = coas.find((item) => metaobjectNumericId(item.id) === id);
+  if (!coa) {
+    throw new ApiError(404, "not_found", `No certificate with id ${id}`);
+  }
+  return { data: toApiCoa(coa, settings) };
+}
+
+/** GET /coas/product: a product's certificates, newest first. */
+export async function listProductCoas(context) {
+  const { url } = context;
+  validateParameters(url.searchParams, PARAMETERS.listProductCoas);
+
+  const { product, settings, coas } = await findProductCoas(
+    context,
+    parseProductLookup(url.searchParams),
+  );
+  return {
+    data: {
+      product: { id: product.id, handle: product.handle, title: product.title },
+      coas: coas.map((coa, index) => ({
+        ...toApiCoa(coa, settings),
+        latest: index === 0 && Boolean(coa.date),
+      })),
+    },
+  };
+}
+
+function isInvalidCursorError(err) {
+  return (
+    err instanceof StorefrontApiError &&
+    err.errors.some((error) => /cursor/i.test(error.message))
+  );
+}
+
+/**
+ * GET /headless/coas: a page of certificates read with the shop's Storefront
+ * API token, for headless storefronts. Cursor-paged, since the Storefront API
+ * reports no totals.
+ */
+export async function listHeadlessCoas({ url }) {
+  validateParameters(url.searchParams, PARAMETERS.listHeadlessCoas);
+  const shop = url.searchParams.get("shop");
+
+  const access = await getStorefrontAccess(shop);
+  if (!access) {
+    throw new ApiError(
+      404,
+      "not_found",
+      `Headless mode isn't turned on for ${shop}`,
+    );
+  }
+
+  const settings = await getShopSettings(shop);
+  const first = Number(url.searchParams.get("first")) || settings.pageSize;
+  const after = url.searchParams.get("after") || null;
+  let page;
+  try {
+    page = await fetchStorefrontMetaobjects(
+      shop,
+      access,
+      settings.metaobjectType,
+      { first, after },
+    );
+  } catch (err) {
+    // A cursor Shopify can't read is the caller's mistake, not an outage
+    if (after && isInvalidCursorError(err)) {
+      const message = "after must be a next_cursor this API returned";
+      throw new ApiError(400, "invalid_parameter", message, [
+        { parameter: "after", message },
+      ]);
+    }
+    throw err;
+  }
+  const { metaobjects, pageInfo } = page;
+
+  return {
+    data: toCoas(metaobjects, settings.requiredFields).map((coa) =>
+      toApiCoa(coa, settings),
+    ),
+    meta: {
+      page_size: first,
+      has_next_page: pageInfo.hasNextPage,
+      next_cursor: pageInfo.hasNextPage ? pageInfo.endCursor : null,
+    },
+  };
+}
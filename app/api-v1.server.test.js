@@ -0,0 +1,159 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const prisma = vi.hoisted(() => ({
+  storefrontAccess: {
+    findUnique: vi.fn(async ({ where }) => ({
+      shop: where.shop,
+      accessToken: "storefront-token",
+    })),
+  },
+  shopSettings: { findUnique: vi.fn(async () => null) },
+}));
+vi.mock("./db.server.js", () => ({ default: prisma }));
+vi.mock("./shopify.server.js", () => ({
+  authenticate: {},
+  apiVersion: "2025-10",
+  appUrl: "https://app.example.com",
+}));
+
+const { PARAMETERS, listHeadlessCoas, validateParameters } = await import(
+  "./api-v1.server.js"
+);
+const { AdminGraphqlError } = await import("./admin-graphql.server.js");
+const { ApiError, describeError } = await import("./app-proxy.server.js");
+
+const params = (query) => new URLSearchParams(query);
+
+function validationDetails(query, parameters) {
+  try {
+    validateParameters(params(query), parameters);
+  } catch (err) {
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ status: 400, code: "invalid_parameter" });
+    return err.details;
+  }
+  return null;
+}
+
+describe("validateParameters", () => {
+  it("accepts valid parameters and the app proxy's own", () => {
+    expect(
+      validationDetails(
+        "page=2&page_size=10&sort=product&order=asc&not_expired=true&date_from=2025-01-31&shop=a.myshopify.com&signature=x&timestamp=1&path_prefix=/apps/coa&logged_in_customer_id=",
+        PARAMETERS.listCoas,
+      ),
+    ).toBeNull();
+  });
+
+  it("reports every bad parameter at once", () => {
+    expect(
+      validationDetails(
+        "page=0&page_size=abc&order=up&date_to=2025-02-30&pageSize=5",
+        PARAMETERS.listCoas,
+      ),
+    ).toEqual([
+      { parameter: "page", message: "page must be at least 1" },
+      { parameter: "page_size", message: "page_size must be an integer" },
+      { parameter: "order", message: "order must be one of asc, desc" },
+      {
+        parameter: "date_to",
+        message: "date_to must be a date (YYYY-MM-DD)",
+      },
+      { parameter: "pageSize", message: "Unknown parameter pageSize" },
+    ]);
+  });
+
+  it("enforces the search length", () => {
+    expect(
+      validationDetails(`q=${"x".repeat(201)}`, PARAMETERS.listCoas),
+    ).toEqual([
+      { parameter: "q", message: "q must be at most 200 characters" },
+    ]);
+  });
+
+  it("requires required parameters and checks patterns", () => {
+    expect(validationDetails("first=10", PARAMETERS.listHeadlessCoas)).toEqual([
+      { parameter: "shop", message: "shop is required" },
+    ]);
+    expect(
+      validationDetails(
+        "shop=example.com&first=500",
+        PARAMETERS.listHeadlessCoas,
+      ),
+    ).toEqual([
+      { parameter: "shop", message: "shop is malformed" },
+      { parameter: "first", message: "first must be at most 250" },
+    ]);
+  });
+});
+
+describe("describeError", () => {
+  it("keeps exception messages out of 500 responses", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const error = describeError(new Error("connection string leaked"));
+
+    expect(error).toMatchObject({ status: 500, code: "internal_error" });
+    expect(error.message).not.toContain("connection string");
+  });
+
+  it("keeps Admin API errors out of 502 responses", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const error = describeError(
+      new AdminGraphqlError("GraphQL query failed: Field 'secret' missing", {
+        code: "GRAPHQL_ERROR",
+        status: 200,
+        errors: [{ message: "Field 'secret' missing", path: ["metaobjects"] }],
+      }),
+    );
+
+    expect(error).toMatchObject({ status: 502, code: "upstream_error" });
+    expect(error.details).toBeUndefined();
+    expect(error.message).not.toContain("secret");
+  });
+});
+
+describe("listHeadlessCoas", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const list = (query) =>
+    listHeadlessCoas({
+      url: new URL(`https://app.example.com/api/v1/headless/coas?${query}`),
+    }).catch((err) => err);
+
+  it("reports a Storefront API timeout as an upstream error", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubGlobal(
+      "fetch",
+      vi
+        .fn()
+        .mockRejectedValue(
+          new DOMException("The operation timed out", "TimeoutError"),
+        ),
+    );
+
+    const error = describeError(await list("shop=slow.myshopify.com"));
+    expect(error).toMatchObject({ status: 502, code: "upstream_error" });
+  });
+
+  it("reports a cursor Shopify rejects as a bad after parameter", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi
+        .fn()
+        .mockResolvedValue(
+          Response.json({ errors: [{ message: "Invalid cursor provided" }] }),
+        ),
+    );
+
+    const error = describeError(
+      await list("shop=cursor.myshopify.com&after=garbage"),
+    );
+    expect(error).toMatchObject({ status: 400, code: "invalid_parameter" });
+    expect(error.details).toEqual([
+      {
+        parameter: "after",
+        message: "after must be a next_cursor this API returned",
+      },
+    ]);
+  });
+});
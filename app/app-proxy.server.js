@@ -0,0 +1,317 @@
+import { authenticate } from "./shopify.server";
+import { AdminGraphqlError } from "./admin-graphql.server.js";
+import { findBatchCoas } from "./batch-links.server.js";
+import { cachedForShop } from "./cache.server.js";
+import {
+  InvalidQueryError,
+  expiryStatus,
+  paginateCoas,
+  parseCoaQuery,
+  sortCoas,
+} from "./coa-query.server.js";
+import { logger } from "./logger.server.js";
+import {
+  MetaobjectTypeNotFoundError,
+  exposedFields,
+  fetchMetaobjectDefinition,
+  getExposure,
+  paginateMetaobjects,
+  parseMetaobjectQuery,
+  pickCoaColumns,
+  toCoas,
+} from "./metaobjects.server.js";
+import {
+  ProductNotFoundError,
+  matchProductMetaobjects,
+  parseProductLookup,
+  resolveProduct,
+} from "./product-coas.server.js";
+import { currentRequestId } from "./request-context.server.js";
+import { getShopSettings } from "./settings.server.js";
+import { isStorefrontOrigin } from "./shop-domains.server.js";
+import { StorefrontApiError } from "./storefront-client.js";
+import { SyncPendingError, loadMetaobjects } from "./sync.server.js";
+
+// Storefront-facing JSON endpoints. Requests arrive through Shopify's app
+// proxy, so `authenticate.public.appProxy` checks the signature and loads the
+// shop's offline session.
+
+/**
+ * CORS headers allowing `request`'s origin when it's one of the shop's the
+ * request is for (its `shop` parameter, which app proxy and headless requests
+ * both carry).
+ */
+export async function corsHeaders(request) {
+  const origin = request.headers.get("Origin");
+  if (!origin) return {};
+  const shop = new URL(request.url).searchParams.get("shop");
+  if (!(await isStorefrontOrigin(shop, origin))) return {};
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    Vary: "Origin",
+  };
+}
+
+/** An error that carries its own HTTP status and machine-readable code. */
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Maps whatever a handler threw to `{ status, code, message, details }`, plus
+ * `retryAfter` (seconds) when the client should simply try again later.
+ */
+export function describeError(err) {
+  if (err instanceof ApiError) {
+    const { status, code, message, details } = err;
+    return { status, code, message, details };
+  }
+  if (err instanceof SyncPendingError) {
+    return {
+      status: 503,
+      code: "sync_pending",
+      message: err.message,
+      retryAfter: err.retryAfter,
+    };
+  }
+  if (err instanceof InvalidQueryError) {
+    return { status: 400, code: "invalid_parameter", message: err.message };
+  }
+  if (
+    err instanceof MetaobjectTypeNotFoundError ||
+    err instanceof ProductNotFoundError
+  ) {
+    return { status: 404, code: "not_found", message: err.message };
+  }
+  if (err instanceof AdminGraphqlError) {
+    // The raw Admin API errors (query paths, cursors) go to the log only
+    logger.error("Admin API error", { error: err });
+    const throttled = err.code === "THROTTLED";
+    return {
+      status: throttled ? 503 : 502,
+      code: throttled ? "throttled" : "upstream_error",
+      message: `Shopify request failed (request ${currentRequestId() ?? "unknown"})`,
+    };
+  }
+  if (err instanceof StorefrontApiError) {
+    logger.error("Storefront API error", { error: err });
+    return {
+      status: 502,
+      code: "upstream_error",
+      message: `Shopify request failed (request ${currentRequestId() ?? "unknown"})`,
+    };
+  }
+  logger.error("App proxy error", { error: err });
+  // Exception messages stay in the log; the request id finds them there
+  return {
+    status: 500,
+    code: "internal_error",
+    message: `Failed to fetch records (request ${currentRequestId() ?? "unknown"})`,
+  };
+}
+
+// The `{ error }` body the unversioned endpoints have always returned
+function legacyErrorBody({ status, message, details }) {
+  return {
+    error: message,
+    ...(details ? { details } : {}),
+    ...(status >= 500 ? { requestId: currentRequestId() } : {}),
+  };
+}
+
+/**
+ * Wraps an app proxy resource route: CORS, proxy authentication and mapping
+ * errors to JSON responses. `handler` receives `{ session, admin, url }` and
+ * returns the JSON body. `errorBody` shapes error responses from `{ status,
+ * code, message, details }`; versioned APIs pass their own envelope.
+ */
+export async function appProxyJson(
+  request,
+  handler,
+  { errorBody = legacyErrorBody } = {},
+) {
+  const headers = await corsHeaders(request);
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers });
+  }
+  const fail = (error) =>
+    Response.json(errorBody(error), {
+      status: error.status,
+      headers: error.retryAfter
+        ? { ...headers, "Retry-After": String(error.retryAfter) }
+        : headers,
+    });
+
+  let session;
+  let admin;
+  try {
+    ({ session, admin } = await authenticate.public.appProxy(request));
+  } catch (err) {
+    // A bad signature or timestamp is thrown as a bare 400 response; it's
+    // answered as the 401 the API documents
+    if (!(err instanceof Response) || err.ok) throw err;
+    return fail({
+      status: 401,
+      code: "invalid_signature",
+      message: "The app proxy signature is missing or invalid",
+    });
+  }
+  if (!session) {
+    return fail({
+      status: 401,
+      code: "shop_not_installed",
+      message: "Shop not installed",
+    });
+  }
+
+  try {
+    const body = await handler({ session, admin, url: new URL(request.url) });
+    return Response.json(body, { headers });
+  } catch (err) {
+    return fail(describeError(err));
+  }
+}
+
+/** Next/prev links go back through the storefront proxy path when there is one. */
+export function linkOptions(url) {
+  const prefix = url.searchParams.get("path_prefix") || "";
+  return {
+    basePath: `${prefix}${url.pathname}`,
+    searchParams: url.searchParams,
+  };
+}
+
+// The storefront shape of a COA, with its computed valid/expiring/expired status
+function withStatus(coa, settings) {
+  return {
+    ...pickCoaColumns(coa, settings.visibleColumns),
+    status: expiryStatus(coa.best_by_date, {
+      days: settings.expiringSoonDays,
+    }),
+  };
+}
+
+/** Paged/sorted/filtered COA listing, shaped by the shop's settings. */
+export async function listCoas({ session, admin, url }) {
+  const { shop } = session;
+  const settings = await getShopSettings(shop);
+  const query = parseCoaQuery(url.searchParams, {
+    pageSize: settings.pageSize,
+    sort: settings.defaultSort,
+    order: settings.defaultOrder,
+  });
+  const type = settings.metaobjectType;
+  const metaobjects = await loadMetaobjects(admin, shop, type);
+  const coas = toCoas(metaobjects, settings.requiredFields);
+  const page = paginateCoas(coas, query, linkOptions(url));
+
+  return {
+    ...page,
+    items: page.items.map((coa) => withStatus(coa, settings)),
+  };
+}
+
+/**
+ * The product named by `lookup` (from parseProductLookup) and its COAs,
+ * newest first. Throws ProductNotFoundError for an unknown product.
+ */
+export async function findProductCoas({ session, admin }, lookup) {
+  const { shop } = session;
+  const settings = await getShopSettings(shop);
+
+  const product = await cachedForShop(
+    shop,
+    `product:${lookup.kind}:${lookup.value}`,
+    () => resolveProduct(admin, lookup),
+  );
+  if (!product) throw new ProductNotFoundError(lookup);
+
+  const metaobjects = await loadMetaobjects(
+    admin,
+    shop,
+    settings.metaobjectType,
+  );
+  const coas = sortCoas(
+    toCoas(
+      matchProductMetaobjects(metaobjects, product, settings),
+      settings.requiredFields,
+    ),
+    "date",
+    "desc",
+  );
+  return { product, settings, coas };
+}
+
+/**
+ * COAs for one product (`?handle=`, `?id=` or `?sku=`), newest first, with
+ * the most recent certificate flagged `latest`.
+ */
+export async function listProductCoas({ session, admin, url }) {
+  const { product, settings, coas } = await findProductCoas(
+    { session, admin },
+    parseProductLookup(url.searchParams),
+  );
+
+  return {
+    product,
+    totalCount: coas.length,
+    items: coas.map((coa, index) => ({
+      ...withStatus(coa, settings),
+      // Undated records sort last, so only a dated first record is the latest
+      latest: index === 0 && Boolean(coa.date),
+    })),
+  };
+}
+
+/**
+ * The shop's COAs printed with `batchNumber`, newest first, with status and
+ * only the columns the shop shows.
+ */
+export async function listBatchCoas({ session, admin }, batchNumber) {
+  const { shop } = session;
+  const settings = await getShopSettings(shop);
+  const metaobjects = await loadMetaobjects(
+    admin,
+    shop,
+    settings.metaobjectType,
+  );
+  return findBatchCoas(
+    toCoas(metaobjects, settings.requiredFields),
+    batchNumber,
+  ).map((coa) => withStatus(coa, settings));
+}
+
+/** Any metaobject type the shop has exposed, e.g. /proxy/lab_reports */
+export async function listMetaobjects({ session, admin, url }, type) {
+  const { shop } = session;
+  const exposure = await getExposure(shop, type);
+  if (!exposure) throw new MetaobjectTypeNotFoundError(type);
+
+  const definition = await cachedForShop(shop, `definition:${type}`, () =>
+    fetchMetaobjectDefinition(admin, type),
+  );
+  if (!definition) throw new MetaobjectTypeNotFoundError(type);
+
+  const fields = exposedFields(definition, exposure);
+  const query = parseMetaobjectQuery(url.searchParams, fields);
+  const metaobjects = await loadMetaobjects(admin, shop, type);
+
+  return {
+    type: definition.type,
+    name: definition.name,
+    fields: fields.map((field) => ({
+      key: field.key,
+      name: field.name,
+      type: field.type,
+    })),
+    ...paginateMetaobjects(metaobjects, fields, query, linkOptions(url)),
+  };
+}
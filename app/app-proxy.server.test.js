@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const appProxy = vi.hoisted(() => vi.fn());
+vi.mock("./db.server.js", () => ({ default: {} }));
+vi.mock("./shopify.server.js", () => ({
+  authenticate: { public: { appProxy } },
+  apiVersion: "2025-10",
+  appUrl: "https://app.example.com",
+}));
+
+const { appProxyJson } = await import("./app-proxy.server.js");
+const { apiJson } = await import("./api-v1.server.js");
+
+const request = () =>
+  new Request(
+    "https://app.example.com/coas?shop=lab.myshopify.com&signature=forged",
+  );
+
+describe("app proxy authentication", () => {
+  const handler = vi.fn(() => ({ items: [] }));
+
+  beforeEach(() => {
+    handler.mockClear();
+  });
+
+  it("answers a bad signature with a 401 invalid_signature envelope", async () => {
+    appProxy.mockRejectedValue(new Response(null, { status: 400 }));
+
+    const response = await apiJson(request(), handler);
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({
+      error: {
+        code: "invalid_signature",
+        message: "The app proxy signature is missing or invalid",
+        details: null,
+        request_id: null,
+      },
+    });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("answers a shop without a session with a 401 shop_not_installed envelope", async () => {
+    appProxy.mockResolvedValue({ session: undefined });
+
+    const response = await apiJson(request(), handler);
+    expect(response.status).toBe(401);
+    expect(await response.json()).toMatchObject({
+      error: { code: "shop_not_installed", message: "Shop not installed" },
+    });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("keeps the unversioned endpoints' { error } body", async () => {
+    appProxy.mockRejectedValue(new Response(null, { status: 400 }));
+
+    const response = await appProxyJson(request(), handler);
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({
+      error: "The app proxy signature is missing or invalid",
+    });
+  });
+
+  it("passes a verified request to the handler", async () => {
+    const session = { shop: "lab.myshopify.com" };
+    appProxy.mockResolvedValue({ session, admin: {} });
+
+    const response = await appProxyJson(request(), handler);
+    expect(response.status).toBe(200);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ session }));
+  });
+});
@@ -0,0 +1,131 @@
+import QRCode from "qrcode";
+import { adminGraphql } from "./admin-graphql.server.js";
+import { cachedForShop } from "./cache.server.js";
+import { sortCoas } from "./coa-query.server.js";
+
+// Batch-number links for packaging: a QR code printed next to the batch
+// number opens /apps/coa/coas/batch/<batch> on the storefront, which goes
+// straight to the certificate PDF or to a landing page rendered in the theme.
+
+// Storefront path of the app proxy (prefix and subpath in shopify.app.toml)
+export const PROXY_PATH = "/apps/coa";
+
+export const QR_FORMATS = {
+  svg: "image/svg+xml",
+  png: "image/png",
+};
+const QR_PNG_WIDTH = 512;
+
+// Batch numbers are printed and typed in all sorts of ways ("br 0423", "BR-0423")
+export function normalizeBatch(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/** Every COA with `batchNumber`, newest first. */
+export function findBatchCoas(coas, batchNumber) {
+  const batch = normalizeBatch(batchNumber);
+  if (!batch) return [];
+  return sortCoas(
+    coas.filter((coa) => normalizeBatch(coa.batch_number) === batch),
+    "date",
+    "desc",
+  );
+}
+
+export function isPdfUrl(value) {
+  return /^https?:\/\//i.test(value || "");
+}
+
+/** The storefront's primary URL, e.g. https://example.com */
+export async function shopPrimaryUrl(source, shop) {
+  return cachedForShop(shop, "primary-url", async () => {
+    const data = await adminGraphql(
+      source,
+      `#graphql
+        query ShopPrimaryDomain {
+          shop {
+            primaryDomain {
+              url
+            }
+          }
+        }`,
+    );
+    return data.shop.primaryDomain.url;
+  });
+}
+
+export function batchUrl(shopUrl, batchNumber) {
+  return `${shopUrl}${PROXY_PATH}/coas/batch/${encodeURIComponent(batchNumber)}`;
+}
+
+/** A QR code for `url` as an SVG string or a PNG buffer. */
+export async function qrCode(url, format) {
+  if (format === "png") {
+    return QRCode.toBuffer(url, {
+      type: "png",
+      width: QR_PNG_WIDTH,
+      margin: 2,
+    });
+  }
+  return QRCode.toString(url, { type: "svg", margin: 2 });
+}
+
+// Escapes HTML, and braces so record values can't inject Liquid
+function escape(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;")
+    .replaceAll("{", "&#123;")
+    .replaceAll("}", "&#125;")
+    .replaceAll("%", "&#37;");
+}
+
+const STATUS_LABELS = {
+  expired: "Expired",
+  expiring: "Expiring soon",
+  valid: "Valid",
+};
+
+/**
+ * Liquid for the batch landing page. App proxy responses with a Liquid
+ * content type are rendered inside the shop's theme layout.
+ */
+export function batchLandingPage(batchNumber, coas) {
+  const rows = coas
+    .map((coa) => {
+      const status = STATUS_LABELS[coa.status];
+      return `
+      <tr>
+        <td>${escape(coa.product)}</td>
+        <td>${escape(coa.date)}</td>
+        <td>${escape(coa.best_by_date)}${status ? ` (${status})` : ""}</td>
+        <td>${
+          isPdfUrl(coa.pdf_link)
+            ? `<a href="${escape(coa.pdf_link)}" target="_blank" rel="noopener">View certificate</a>`
+            : ""
+        }</td>
+      </tr>`;
+    })
+    .join("");
+
+  const body = coas.length
+    ? `<table>
+      <thead>
+        <tr><th>Product</th><th>Test date</th><th>Best by</th><th></th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`
+    : `<p>We couldn't find a certificate of analysis for this batch. Check the batch number on the packaging and try again.</p>`;
+
+  return `<div class="page-width coa-batch">
+  <h1>Batch ${escape(batchNumber)}</h1>
+  ${body}
+</div>
+`;
+}
@@ -0,0 +1,155 @@
+import { adminGraphql } from "./admin-graphql.server.js";
+import { FILE_REFERENCE_FIELDS } from "./files.server.js";
+import { toMetaobject } from "./metaobjects.server.js";
+
+// Bulk Operations API reads for metaobject types too large to page through
+// 50 at a time within a function timeout. Shopify runs the query
+// asynchronously and publishes the result as a JSONL file; completion is
+// reported via polling or the bulk_operations/finish webhook.
+
+// Full syncs of types with more records than this use a bulk operation
+export const BULK_THRESHOLD = Number(process.env.COA_BULK_THRESHOLD) || 2000;
+const POLL_INTERVAL_MS = 2000;
+
+/** `inProgress` is set when Shopify refused to start another bulk query. */
+export class BulkOperationError extends Error {
+  constructor(message, { inProgress = false } = {}) {
+    super(message);
+    this.name = "BulkOperationError";
+    this.inProgress = inProgress;
+  }
+}
+
+const COUNT_QUERY = `#graphql
+  query MetaobjectCount($type: String!) {
+    metaobjectDefinitionByType(type: $type) {
+      metaobjectsCount
+    }
+  }`;
+
+export async function countMetaobjects(source, type) {
+  const data = await adminGraphql(source, COUNT_QUERY, { type });
+  return data.metaobjectDefinitionByType?.metaobjectsCount ?? 0;
+}
+
+const RUN_MUTATION = `#graphql
+  mutation MetaobjectBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const CURRENT_OPERATION_QUERY = `#graphql
+  query CurrentBulkOperation {
+    currentBulkOperation(type: QUERY) {
+      id
+      status
+    }
+  }`;
+
+const OPERATION_QUERY = `#graphql
+  query BulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }`;
+
+/** Starts a bulk query for every metaobject of `type`; returns `{ id, status }`. */
+export async function startBulkMetaobjectQuery(source, type) {
+  const query = `{
+    metaobjects(type: ${JSON.stringify(type)}) {
+      edges {
+        node {
+          id
+          handle
+          displayName
+          updatedAt
+          fields {
+            key
+            value
+            reference {
+              ${FILE_REFERENCE_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }`;
+  const data = await adminGraphql(source, RUN_MUTATION, { query });
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors.length) {
+    // Shopify runs one bulk query per shop and app at a time
+    throw new BulkOperationError(
+      `Bulk query failed to start: ${userErrors[0].message}`,
+      { inProgress: /already in progress/i.test(userErrors[0].message) },
+    );
+  }
+  return bulkOperation;
+}
+
+/** The shop's latest bulk query for this app, `{ id, status }`, if any. */
+export async function fetchCurrentBulkOperation(source) {
+  const data = await adminGraphql(source, CURRENT_OPERATION_QUERY);
+  return data.currentBulkOperation;
+}
+
+export async function fetchBulkOperation(source, id) {
+  const data = await adminGraphql(source, OPERATION_QUERY, { id });
+  return data.node;
+}
+
+/**
+ * Polls until the operation finishes or `timeout` ms pass. Returns the
+ * finished operation, or null if it is still running.
+ */
+export async function waitForBulkOperation(source, id, { timeout }) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const operation = await fetchBulkOperation(source, id);
+    if (operation.status !== "CREATED" && operation.status !== "RUNNING") {
+      return operation;
+    }
+    if (Date.now() + POLL_INTERVAL_MS > deadline) return null;
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/** Downloads a finished operation's JSONL result as normalized metaobjects. */
+export async function downloadBulkMetaobjects(operation) {
+  if (operation.status !== "COMPLETED") {
+    throw new BulkOperationError(
+      `Bulk query ${operation.status.toLowerCase()}${
+        operation.errorCode ? ` (${operation.errorCode})` : ""
+      }`,
+    );
+  }
+  // No url means the query matched nothing
+  if (!operation.url) return [];
+
+  const response = await fetch(operation.url);
+  if (!response.ok) {
+    throw new BulkOperationError(
+      `Bulk result download failed (${response.status})`,
+    );
+  }
+
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => toMetaobject(JSON.parse(line)));
+}
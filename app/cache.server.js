@@ -0,0 +1,167 @@
+import { Redis } from "@upstash/redis";
+import { logger } from "./logger.server.js";
+import { metrics } from "./metrics.server.js";
+
+// Per-shop cache for expensive Admin API reads (the COA crawl, mostly).
+//
+// Upstash Redis is used when its REST credentials are configured (including
+// the KV_* names Vercel injects); otherwise entries live in process memory,
+// which is fine for local dev and the single-container Docker deploy.
+//
+// Entries are served fresh for `ttl` seconds, then served stale for up to
+// `staleTtl` more while a background refresh runs. Invalidation bumps a
+// per-shop generation number, so every key for that shop goes cold at once
+// without having to scan for it.
+
+const DEFAULT_TTL = Number(process.env.COA_CACHE_TTL) || 300;
+const DEFAULT_STALE_TTL = Number(process.env.COA_CACHE_STALE_TTL) || 3600;
+const MEMORY_MAX_ENTRIES = Number(process.env.COA_CACHE_MAX_ENTRIES) || 1000;
+const KEY_PREFIX = "mop";
+
+/**
+ * The in-process store. Keys come partly from public input (product lookups,
+ * page cursors), so it holds at most `maxEntries` cached values and evicts the
+ * least recently used. Generation counters are kept apart and never evicted:
+ * losing one would bring back entries it had invalidated.
+ */
+export function createMemoryStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  const counters = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Maps iterate in insertion order; re-inserting marks it recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  return {
+    async get(key) {
+      return counters.has(key) ? counters.get(key) : read(key);
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async del(key) {
+      entries.delete(key);
+      counters.delete(key);
+    },
+    async incr(key) {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    },
+  };
+}
+
+function createRedisStore(redis) {
+  return {
+    get: (key) => redis.get(key),
+    set: (key, value, ttlSeconds) =>
+      redis.set(key, value, ttlSeconds ? { ex: ttlSeconds } : undefined),
+    del: (key) => redis.del(key),
+    incr: (key) => redis.incr(key),
+  };
+}
+
+function createStore() {
+  const url = process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
+  const token =
+    process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+
+  if (url && token) {
+    return createRedisStore(new Redis({ url, token }));
+  }
+  return createMemoryStore();
+}
+
+const store = createStore();
+
+// Loads already running in this process, so concurrent misses share one crawl
+const inFlight = new Map();
+
+const generationKey = (shop) => `${KEY_PREFIX}:${shop}:generation`;
+
+async function shopKey(shop, name) {
+  const generation = (await store.get(generationKey(shop))) || 0;
+  return `${KEY_PREFIX}:${shop}:${generation}:${name}`;
+}
+
+function load(key, loader, ttl, staleTtl) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = (async () => {
+    try {
+      const value = await loader();
+      // The value is good even if it can't be cached
+      try {
+        await store.set(key, { value, storedAt: Date.now() }, ttl + staleTtl);
+      } catch (err) {
+        logger.error("Cache write failed", { key, error: err.message });
+      }
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Returns the cached value for `name` in `shop`'s namespace, calling `loader`
+ * on a miss. Stale entries are returned immediately and refreshed behind the
+ * response. A cache backend failure falls through to `loader`.
+ */
+export async function cachedForShop(shop, name, loader, options = {}) {
+  const { ttl = DEFAULT_TTL, staleTtl = DEFAULT_STALE_TTL } = options;
+
+  let key;
+  let entry;
+  try {
+    key = await shopKey(shop, name);
+    entry = await store.get(key);
+  } catch (err) {
+    metrics.cacheLookups.inc({ shop, result: "error" });
+    logger.error("Cache read failed", { shop, error: err.message });
+    return loader();
+  }
+
+  if (!entry) {
+    metrics.cacheLookups.inc({ shop, result: "miss" });
+    return load(key, loader, ttl, staleTtl);
+  }
+
+  const age = (Date.now() - entry.storedAt) / 1000;
+  if (age > ttl) {
+    metrics.cacheLookups.inc({ shop, result: "stale" });
+    load(key, loader, ttl, staleTtl).catch((err) =>
+      logger.error("Background cache refresh failed", {
+        shop,
+        key,
+        error: err.message,
+      }),
+    );
+  } else {
+    metrics.cacheLookups.inc({ shop, result: "hit" });
+  }
+  return entry.value;
+}
+
+/** Drops every cached entry for a shop (e.g. after a metaobject webhook). */
+export async function invalidateShop(shop) {
+  await store.incr(generationKey(shop));
+}
@@ -0,0 +1,138 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  cachedForShop,
+  createMemoryStore,
+  invalidateShop,
+} from "./cache.server.js";
+
+describe("createMemoryStore", () => {
+  it("evicts the least recently used entry past maxEntries", async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set("a", 1, 60);
+    await store.set("b", 2, 60);
+    await store.get("a");
+    await store.set("c", 3, 60);
+
+    expect(await store.get("a")).toBe(1);
+    expect(await store.get("b")).toBeNull();
+    expect(await store.get("c")).toBe(3);
+  });
+
+  it("never evicts generation counters", async () => {
+    const store = createMemoryStore({ maxEntries: 1 });
+    await store.incr("generation");
+    await store.set("a", 1, 60);
+    await store.set("b", 2, 60);
+
+    expect(await store.get("generation")).toBe(1);
+    expect(await store.incr("generation")).toBe(2);
+  });
+
+  it("drops entries once their ttl passes", async () => {
+    vi.useFakeTimers();
+    const store = createMemoryStore();
+    await store.set("a", 1, 10);
+    vi.advanceTimersByTime(11 * 1000);
+
+    expect(await store.get("a")).toBeNull();
+    vi.useRealTimers();
+  });
+});
+
+describe("cachedForShop", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("calls the loader on a miss only", async () => {
+    const loader = vi.fn().mockResolvedValue("value");
+
+    expect(await cachedForShop("miss.myshopify.com", "key", loader)).toBe(
+      "value",
+    );
+    expect(await cachedForShop("miss.myshopify.com", "key", loader)).toBe(
+      "value",
+    );
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it("shares one load between concurrent misses", async () => {
+    let resolve;
+    const loader = vi.fn(() => new Promise((done) => (resolve = done)));
+
+    const first = cachedForShop("shared.myshopify.com", "key", loader);
+    const second = cachedForShop("shared.myshopify.com", "key", loader);
+    await vi.waitFor(() => expect(loader).toHaveBeenCalled());
+    resolve("value");
+
+    expect(await Promise.all([first, second])).toEqual(["value", "value"]);
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it("reloads after the shop is invalidated", async () => {
+    const loader = vi
+      .fn()
+      .mockResolvedValueOnce("old")
+      .mockResolvedValueOnce("new");
+
+    await cachedForShop("invalidated.myshopify.com", "key", loader);
+    await invalidateShop("invalidated.myshopify.com");
+
+    expect(
+      await cachedForShop("invalidated.myshopify.com", "key", loader),
+    ).toBe("new");
+  });
+
+  it("serves a stale entry while refreshing it", async () => {
+    vi.useFakeTimers();
+    const loader = vi
+      .fn()
+      .mockResolvedValueOnce("old")
+      .mockResolvedValueOnce("new");
+    const options = { ttl: 10, staleTtl: 60 };
+
+    await cachedForShop("stale.myshopify.com", "key", loader, options);
+    vi.advanceTimersByTime(20 * 1000);
+
+    expect(
+      await cachedForShop("stale.myshopify.com", "key", loader, options),
+    ).toBe("old");
+    await vi.waitFor(() => expect(loader).toHaveBeenCalledTimes(2));
+  });
+});
+
+describe("cachedForShop with a failing backend", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.doUnmock("@upstash/redis");
+    vi.resetModules();
+  });
+
+  async function importWithRedis(redis) {
+    vi.resetModules();
+    vi.stubEnv("UPSTASH_REDIS_REST_URL", "https://redis.example.com");
+    vi.stubEnv("UPSTASH_REDIS_REST_TOKEN", "token");
+    vi.doMock("@upstash/redis", () => ({
+      Redis: vi.fn(() => redis),
+    }));
+    return import("./cache.server.js");
+  }
+
+  it("returns the loaded value when the write fails", async () => {
+    const { cachedForShop: cached } = await importWithRedis({
+      get: vi.fn().mockResolvedValue(null),
+      set: vi.fn().mockRejectedValue(new Error("write failed")),
+    });
+    const loader = vi.fn().mockResolvedValue("value");
+
+    expect(await cached("shop.myshopify.com", "key", loader)).toBe("value");
+  });
+
+  it("falls through to the loader when the read fails", async () => {
+    const { cachedForShop: cached } = await importWithRedis({
+      get: vi.fn().mockRejectedValue(new Error("read failed")),
+    });
+    const loader = vi.fn().mockResolvedValue("value");
+
+    expect(await cached("shop.myshopify.com", "key", loader)).toBe("value");
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  InvalidQueryError,
+  expiryStatus,
+  parseCoaQuery,
+  startOfToday,
+} from "./coa-query.server.js";
+import { toCoa } from "./metaobjects.server.js";
+import { getShopSettings } from "./settings.server.js";
+import { getSyncState, loadMetaobjects } from "./sync.server.js";
+
+// COA records as the embedded admin sees them: every record of the configured
+// type, including incomplete ones, annotated with expiry status and the
+// required fields each one is missing.
+
+export const STATUS_FILTERS = [
+  "all",
+  "expired",
+  "expiring",
+  "valid",
+  "missing",
+];
+
+export async function loadAdminRecords(admin, shop) {
+  const settings = await getShopSettings(shop);
+  const type = settings.metaobjectType;
+  // The page says when a first sync is still running
+  const metaobjects = await loadMetaobjects(admin, shop, type, {
+    partial: true,
+  });
+
+  const today = startOfToday();
+  const records = metaobjects.map((metaobject) => ({
+    ...toCoa(metaobject),
+    status: expiryStatus(metaobject.fields.best_by_date, {
+      days: settings.expiringSoonDays,
+      today,
+    }),
+    missing: settings.requiredFields.filter((key) => !metaobject.fields[key]),
+  }));
+
+  return { settings, records, sync: await getSyncState(shop, type) };
+}
+
+/**
+ * Reads the search box (`q`, ranked by parseCoaQuery) and the admin-only
+ * `status` filter.
+ */
+export function parseAdminFilters(searchParams) {
+  const status = searchParams.get("status");
+
+  return {
+    search: searchParams.get("q")?.trim() || "",
+    status: STATUS_FILTERS.includes(status) ? status : "all",
+  };
+}
+
+export function filterAdminRecords(records, { status }) {
+  if (status === "missing") {
+    return records.filter((record) => record.missing.length > 0);
+  }
+  if (status === "all") return records;
+  return records.filter((record) => record.status === status);
+}
+
+/**
+ * Sorting, paging, search and the shared listing filters, with the shop's defaults.
+ * A hand-edited URL shouldn't break the page, so bad values fall back to them.
+ */
+export function parseAdminQuery(searchParams, settings) {
+  const defaults = {
+    pageSize: settings.pageSize,
+    sort: settings.defaultSort,
+    order: settings.defaultOrder,
+  };
+  try {
+    return parseCoaQuery(searchParams, defaults);
+  } catch (err) {
+    if (err instanceof InvalidQueryError) {
+      return parseCoaQuery(new URLSearchParams(), defaults);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,579 @@
+import { adminGraphql } from "./admin-graphql.server.js";
+import { normalizeBatch } from "./batch-links.server.js";
+import { invalidateShop } from "./cache.server.js";
+import { FILE_REFERENCE_FIELDS } from "./files.server.js";
+import {
+  MetaobjectTypeNotFoundError,
+  fetchMetaobjectDefinition,
+  toMetaobject,
+} from "./metaobjects.server.js";
+import { getShopSettings } from "./settings.server.js";
+import {
+  loadMetaobjects,
+  removeMirroredMetaobject,
+  storeMirroredMetaobject,
+} from "./sync.server.js";
+
+// Creating, editing and deleting COAs from the embedded admin. A PDF goes to
+// Shopify Files through a staged upload (stagedUploadsCreate, a POST to the
+// target, then fileCreate); new records are written with metaobjectCreate and
+// edits with metaobjectUpdate, so a save never lands on a record it didn't
+// mean to. The mirror can lag Shopify, so batch numbers and handles are
+// checked against Shopify itself before a write. Saved records are mirrored
+// straight away so the list shows them before the metaobjects webhook arrives.
+
+// Fields the form edits; pdf_link is set from the uploaded file
+export const COA_FORM_FIELDS = [
+  "date",
+  "product_name",
+  "batch_number",
+  "best_by_date",
+];
+// The app needs these whatever the definition says: batch numbers drive
+// uniqueness, QR codes and the batch landing page
+const ALWAYS_REQUIRED = ["date", "product_name", "batch_number"];
+const DATE_FIELDS = ["date", "best_by_date"];
+
+// Uploads pass through the app's own request, and Vercel caps request bodies
+// at 4.5 MB
+const MAX_PDF_BYTES = (Number(process.env.COA_MAX_PDF_MB) || 4) * 1024 * 1024;
+const FILE_POLL_ATTEMPTS = 15;
+const FILE_POLL_INTERVAL_MS = 1000;
+
+const FIELD_LABELS = {
+  date: "Test date",
+  product_name: "Product",
+  batch_number: "Batch number",
+  best_by_date: "Best by date",
+  pdf_link: "PDF",
+};
+
+/**
+ * A save Shopify or the app rejected. `errors` is keyed by form field when the
+ * problem belongs to one.
+ */
+export class CoaWriteError extends Error {
+  constructor(message, errors = {}) {
+    super(message);
+    this.name = "CoaWriteError";
+    this.errors = errors;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Route param (the numeric part) to a Metaobject GID, and back. */
+export function metaobjectGid(id) {
+  return /^\d+$/.test(id || "") ? `gid://shopify/Metaobject/${id}` : null;
+}
+
+export function metaobjectNumericId(gid) {
+  return gid.split("/").pop();
+}
+
+/** A real calendar day written as YYYY-MM-DD. */
+export function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return (
+    !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+  );
+}
+
+/**
+ * Field errors for a COA's values, keyed by field. `required` adds to the
+ * fields the app always needs (e.g. the definition's required fields).
+ */
+export function validateCoa(values, { required = [] } = {}) {
+  const errors = {};
+
+  new Set([...ALWAYS_REQUIRED, ...required]).forEach((key) => {
+    if (COA_FORM_FIELDS.includes(key) && !values[key]) {
+      errors[key] = `${FIELD_LABELS[key]} is required`;
+    }
+  });
+  DATE_FIELDS.forEach((key) => {
+    if (values[key] && !isIsoDate(values[key])) {
+      errors[key] = "Enter a date as YYYY-MM-DD";
+    }
+  });
+  if (
+    !errors.date &&
+    !errors.best_by_date &&
+    values.best_by_date &&
+    values.best_by_date < values.date
+  ) {
+    errors.best_by_date = "Best by date can't be before the test date";
+  }
+  if (values.batch_number && !normalizeBatch(values.batch_number)) {
+    errors.batch_number = "Batch number needs at least one letter or digit";
+  }
+
+  return errors;
+}
+
+/** The record other than `exceptId` that already uses `batchNumber`, if any. */
+export function findBatchConflict(metaobjects, batchNumber, exceptId = null) {
+  const batch = normalizeBatch(batchNumber);
+  if (!batch) return null;
+  return (
+    metaobjects.find(
+      (metaobject) =>
+        metaobject.id !== exceptId &&
+        normalizeBatch(metaobject.fields.batch_number) === batch,
+    ) ?? null
+  );
+}
+
+/**
+ * Reads the COA form: trimmed values, the uploaded PDF (a File, or null when
+ * none was chosen) and any errors that don't need Shopify to detect.
+ */
+export function parseCoaForm(formData) {
+  const values = Object.fromEntries(
+    COA_FORM_FIELDS.map((key) => [key, String(formData.get(key) || "").trim()]),
+  );
+  const errors = validateCoa(values);
+
+  const upload = formData.get("pdf");
+  const pdf =
+    upload && typeof upload === "object" && upload.size ? upload : null;
+  if (pdf) {
+    const isPdf =
+      pdf.type === "application/pdf" || /\.pdf$/i.test(pdf.name || "");
+    if (!isPdf) {
+      errors.pdf_link = "Upload a PDF file";
+    } else if (pdf.size > MAX_PDF_BYTES) {
+      errors.pdf_link = `PDFs can be up to ${MAX_PDF_BYTES / 1024 / 1024} MB`;
+    }
+  }
+
+  return { values, pdf, errors };
+}
+
+function userErrorMessage(userErrors) {
+  return userErrors.map((error) => error.message).join("; ");
+}
+
+const STAGED_UPLOAD_MUTATION = `#graphql
+  mutation StagedPdfUpload($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters {
+          name
+          value
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const FILE_CREATE_MUTATION = `#graphql
+  mutation CreatePdfFile($files: [FileCreateInput!]!) {
+    fileCreate(files: $files) {
+      files {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const FILE_STATUS_QUERY = `#graphql
+  query PdfFileStatus($id: ID!) {
+    node(id: $id) {
+      ... on GenericFile {
+        fileStatus
+        fileErrors {
+          message
+        }
+      }
+      ${FILE_REFERENCE_FIELDS}
+    }
+  }`;
+
+// Files are processed asynchronously; the URL only exists once it's READY
+async function waitForFile(admin, id) {
+  for (let attempt = 0; attempt < FILE_POLL_ATTEMPTS; attempt++) {
+    const { node } = await adminGraphql(admin, FILE_STATUS_QUERY, { id });
+    if (node?.fileStatus === "READY" && node.url) return node;
+    if (node?.fileStatus === "FAILED") {
+      throw new CoaWriteError("Shopify couldn't process the PDF", {
+        pdf_link:
+          node.fileErrors?.map((error) => error.message).join("; ") ||
+          "Shopify couldn't process the PDF",
+      });
+    }
+    await sleep(FILE_POLL_INTERVAL_MS);
+  }
+  throw new CoaWriteError("The PDF is still processing; try saving again", {
+    pdf_link: "The PDF is still processing; try saving again",
+  });
+}
+
+/** Uploads `file` to Shopify Files. Resolves to `{ id, url }` once it's ready. */
+export async function uploadPdf(admin, file, { alt } = {}) {
+  const staged = await adminGraphql(admin, STAGED_UPLOAD_MUTATION, {
+    input: [
+      {
+        filename: file.name || "certificate.pdf",
+        mimeType: "application/pdf",
+        resource: "FILE",
+        fileSize: String(file.size),
+        httpMethod: "POST",
+      },
+    ],
+  });
+  const { stagedTargets, userErrors } = staged.stagedUploadsCreate;
+  if (userErrors.length) {
+    throw new CoaWriteError(userErrorMessage(userErrors), {
+      pdf_link: userErrorMessage(userErrors),
+    });
+  }
+
+  const [target] = stagedTargets;
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append("file", file, file.name || "certificate.pdf");
+  const response = await fetch(target.url, { method: "POST", body: form });
+  if (!response.ok) {
+    throw new CoaWriteError(`PDF upload failed (${response.status})`, {
+      pdf_link: "The upload to Shopify failed; try again",
+    });
+  }
+
+  const created = await adminGraphql(admin, FILE_CREATE_MUTATION, {
+    files: [
+      {
+        originalSource: target.resourceUrl,
+        contentType: "FILE",
+        filename: file.name || "certificate.pdf",
+        ...(alt ? { alt } : {}),
+      },
+    ],
+  });
+  const { files, userErrors: fileErrors } = created.fileCreate;
+  if (fileErrors.length) {
+    throw new CoaWriteError(userErrorMessage(fileErrors), {
+      pdf_link: userErrorMessage(fileErrors),
+    });
+  }
+
+  const ready = await waitForFile(admin, files[0].id);
+  return { id: ready.id, url: ready.url };
+}
+
+const METAOBJECT_FIELDS = `
+  id
+  type
+  handle
+  displayName
+  updatedAt
+  fields {
+    key
+    value
+    reference {
+      ${FILE_REFERENCE_FIELDS}
+    }
+  }
+`;
+
+const METAOBJECT_QUERY = `#graphql
+  query CoaForEdit($id: ID!) {
+    metaobject(id: $id) {
+      ${METAOBJECT_FIELDS}
+    }
+  }`;
+
+const CREATE_MUTATION = `#graphql
+  mutation CreateCoa($metaobject: MetaobjectCreateInput!) {
+    metaobjectCreate(metaobject: $metaobject) {
+      metaobject {
+        ${METAOBJECT_FIELDS}
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+const UPDATE_MUTATION = `#graphql
+  mutation UpdateCoa($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+    metaobjectUpdate(id: $id, metaobject: $metaobject) {
+      metaobject {
+        ${METAOBJECT_FIELDS}
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }`;
+
+const BATCH_QUERY = `#graphql
+  query CoasByBatch($type: String!, $query: String!) {
+    metaobjects(type: $type, first: 10, query: $query) {
+      nodes {
+        ${METAOBJECT_FIELDS}
+      }
+    }
+  }`;
+
+const HANDLE_QUERY = `#graphql
+  query CoaHandleTaken($handle: MetaobjectHandleInput!) {
+    metaobjectByHandle(handle: $handle) {
+      id
+    }
+  }`;
+
+const DELETE_MUTATION = `#graphql
+  mutation DeleteCoa($id: ID!) {
+    metaobjectDelete(id: $id) {
+      deletedId
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+async function fetchCoa(admin, type, id) {
+  const data = await adminGraphql(admin, METAOBJECT_QUERY, { id });
+  const node = data.metaobject;
+  return node?.type === type ? toMetaobject(node) : null;
+}
+
+/** One record of the shop's COA type, read fresh from Shopify; null if gone. */
+export async function loadCoa(admin, shop, id) {
+  const { metaobjectType } = await getShopSettings(shop);
+  return fetchCoa(admin, metaobjectType, id);
+}
+
+function handleBase(batchNumber) {
+  return `coa-${String(batchNumber)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")}`;
+}
+
+/**
+ * Handle for a new record: coa-<batch>, suffixed while another record has it.
+ * Handles are checked against Shopify, which may hold records the mirror
+ * hasn't caught up with.
+ */
+async function newHandle(admin, type, metaobjects, batchNumber) {
+  const base = handleBase(batchNumber);
+  const mirrored = new Set(metaobjects.map((metaobject) => metaobject.handle));
+  const isTaken = async (handle) =>
+    mirrored.has(handle) ||
+    Boolean(
+      (await adminGraphql(admin, HANDLE_QUERY, { handle: { type, handle } }))
+        .metaobjectByHandle,
+    );
+
+  let handle = base;
+  for (let suffix = 2; await isTaken(handle); suffix++) {
+    handle = `${base}-${suffix}`;
+  }
+  return handle;
+}
+
+/**
+ * The record other than `exceptId` that uses `batchNumber` in Shopify. Search
+ * matches the value as typed; variants such as "b-1" for "B1" are caught by
+ * the mirror check in coaSaveErrors.
+ */
+async function findShopifyBatchConflict(admin, type, batchNumber, exceptId) {
+  const data = await adminGraphql(admin, BATCH_QUERY, {
+    type,
+    query: `fields.batch_number:${JSON.stringify(String(batchNumber))}`,
+  });
+  return findBatchConflict(
+    data.metaobjects.nodes.map(toMetaobject),
+    batchNumber,
+    exceptId,
+  );
+}
+
+function batchConflictMessage(batchNumber, conflict) {
+  return `Batch ${batchNumber} is already used by ${conflict.display_name || conflict.handle}`;
+}
+
+/**
+ * The shop's COA definition and records, which every save checks against.
+ * Pass the result to saveCoa when saving many records in a row; each save is
+ * added to its records, so batch numbers stay unique across the run.
+ */
+export async function loadCoaContext(admin, shop) {
+  const { metaobjectType: type } = await getShopSettings(shop);
+  const definition = await fetchMetaobjectDefinition(admin, type);
+  if (!definition) throw new MetaobjectTypeNotFoundError(type);
+
+  return {
+    type,
+    definition,
+    // Saves are added to it. A partial mirror is fine: saves check batch
+    // numbers and handles against Shopify too
+    metaobjects: await loadMetaobjects(admin, shop, type, { partial: true }),
+  };
+}
+
+/**
+ * Everything saveCoa would reject `values` for, keyed by field: the app's
+ * rules, the definition's required fields and unique batch numbers.
+ * `existing` is the record being updated, if any.
+ */
+export function coaSaveErrors(
+  { definition, metaobjects },
+  { existing = null, values, hasPdf = false },
+) {
+  const required = definition.fields
+    .filter((field) => field.required)
+    .map((field) => field.key);
+  const errors = validateCoa(values, { required });
+
+  const hasPdfField = definition.fields.some(
+    (field) => field.key === "pdf_link",
+  );
+  if (hasPdf && !hasPdfField) {
+    errors.pdf_link = `${definition.name} has no pdf_link field`;
+  } else if (
+    required.includes("pdf_link") &&
+    !hasPdf &&
+    !existing?.fields.pdf_link
+  ) {
+    errors.pdf_link = "PDF is required";
+  }
+
+  const conflict = findBatchConflict(
+    metaobjects,
+    values.batch_number,
+    existing?.id,
+  );
+  if (conflict) {
+    errors.batch_number = batchConflictMessage(values.batch_number, conflict);
+  }
+  return errors;
+}
+
+/**
+ * Creates (no `id`) or updates a COA. Values are validated against the app's
+ * rules and the definition's required fields, batch numbers must be unique,
+ * and `pdf` (a File) replaces the record's PDF. Resolves to the saved record;
+ * throws CoaWriteError when the save is rejected.
+ */
+export async function saveCoa(
+  admin,
+  shop,
+  { id = null, values, pdf = null },
+  context,
+) {
+  const { type, definition, metaobjects } =
+    context ?? (await loadCoaContext(admin, shop));
+  const fieldTypes = Object.fromEntries(
+    definition.fields.map((field) => [field.key, field.type]),
+  );
+  // Records edited in Shopify moments ago may not be mirrored yet
+  const existing = id
+    ? (metaobjects.find((metaobject) => metaobject.id === id) ??
+      (await fetchCoa(admin, type, id)))
+    : null;
+  if (id && !existing) {
+    throw new CoaWriteError("This certificate no longer exists");
+  }
+
+  const errors = coaSaveErrors(
+    { definition, metaobjects },
+    { existing, values, hasPdf: Boolean(pdf) },
+  );
+  if (Object.keys(errors).length) {
+    throw new CoaWriteError("Fix the highlighted fields", errors);
+  }
+
+  const shopifyConflict = await findShopifyBatchConflict(
+    admin,
+    type,
+    values.batch_number,
+    existing?.id,
+  );
+  if (shopifyConflict) {
+    const message = batchConflictMessage(values.batch_number, shopifyConflict);
+    throw new CoaWriteError("Fix the highlighted fields", {
+      batch_number: message,
+    });
+  }
+
+  // Checks before the PDF upload, so a rejected save leaves no orphaned file
+  const handle = existing
+    ? null
+    : await newHandle(admin, type, metaobjects, values.batch_number);
+
+  // An empty value clears a field, which only matters if it had one
+  const fields = COA_FORM_FIELDS.filter(
+    (key) => fieldTypes[key] && (values[key] || existing?.fields[key]),
+  ).map((key) => ({ key, value: values[key] || "" }));
+  if (pdf) {
+    const file = await uploadPdf(admin, pdf, {
+      alt: `Certificate of analysis, batch ${values.batch_number}`,
+    });
+    fields.push({
+      key: "pdf_link",
+      value: fieldTypes.pdf_link === "file_reference" ? file.id : file.url,
+    });
+  }
+
+  const data = existing
+    ? await adminGraphql(admin, UPDATE_MUTATION, {
+        id: existing.id,
+        metaobject: { fields },
+      })
+    : await adminGraphql(admin, CREATE_MUTATION, {
+        metaobject: { type, handle, fields },
+      });
+  const { metaobject, userErrors } = existing
+    ? data.metaobjectUpdate
+    : data.metaobjectCreate;
+  if (userErrors.length) {
+    // Another save took the handle between the check and the create
+    const taken = userErrors.some(
+      (error) => error.code === "TAKEN" && error.field?.includes("handle"),
+    );
+    throw new CoaWriteError(
+      userErrorMessage(userErrors),
+      taken
+        ? { batch_number: "Another certificate was just saved for this batch" }
+        : {},
+    );
+  }
+
+  const saved = toMetaobject(metaobject);
+  const index = metaobjects.findIndex((record) => record.id === saved.id);
+  if (index >= 0) metaobjects[index] = saved;
+  else metaobjects.push(saved);
+
+  await storeMirroredMetaobject(shop, type, saved);
+  await invalidateShop(shop);
+  return saved;
+}
+
+/** Deletes a COA from Shopify and the mirror. The PDF stays in Files. */
+export async function deleteCoa(admin, shop, id) {
+  const data = await adminGraphql(admin, DELETE_MUTATION, { id });
+  const { userErrors } = data.metaobjectDelete;
+  if (userErrors.length) {
+    throw new CoaWriteError(userErrorMessage(userErrors));
+  }
+
+  await removeMirroredMetaobject(shop, { id });
+  await invalidateShop(shop);
+}
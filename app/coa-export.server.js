@@ -0,0 +1,103 @@
+// Streaming CSV / JSON Lines exports of COA records.
+//
+// Rows are serialized in batches from a ReadableStream so a shop with
+// thousands of certificates never builds the whole file as one string.
+
+const BATCH_SIZE = 500;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+};
+
+const EXPORT_COLUMNS = [
+  { key: "id", label: "ID" },
+  { key: "product", label: "Product" },
+  { key: "batch_number", label: "Batch number" },
+  { key: "date", label: "Test date", isDate: true },
+  { key: "best_by_date", label: "Best by date", isDate: true },
+  { key: "status", label: "Status" },
+  { key: "pdf_link", label: "PDF link" },
+];
+
+/** YYYY-MM-DD, which Excel and every other tool reads as a date. */
+export function formatExportDate(value) {
+  if (!value) return "";
+  const time = Date.parse(value);
+  // Leave unparseable values as entered so nothing is silently lost
+  if (Number.isNaN(time)) return value;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function exportRow(record) {
+  return Object.fromEntries(
+    EXPORT_COLUMNS.map(({ key, isDate }) => [
+      key,
+      isDate ? formatExportDate(record[key]) : (record[key] ?? ""),
+    ]),
+  );
+}
+
+function csvCell(value) {
+  let text = String(value);
+  // Stop spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replaceAll('"', '""')}"`;
+  return text;
+}
+
+/** One CSV record, CRLF-terminated, with formula-looking cells defused. */
+export function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+function serialize(records, format) {
+  if (format === "ndjson") {
+    return records.map((record) => `${JSON.stringify(exportRow(record))}\n`);
+  }
+  return records.map((record) => csvLine(Object.values(exportRow(record))));
+}
+
+export function exportFilename(shop, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  const store = shop.replace(/\.myshopify\.com$/, "");
+  return `${store}-coas-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/** A streamed download of `records` in `format` ("csv" or "ndjson"). */
+export function exportResponse(records, { format, filename }) {
+  const encoder = new TextEncoder();
+  let index = 0;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      if (format === "csv") {
+        // The BOM makes Excel read the file as UTF-8
+        controller.enqueue(
+          encoder.encode(
+            `\uFEFF${csvLine(EXPORT_COLUMNS.map((column) => column.label))}`,
+          ),
+        );
+      }
+    },
+    pull(controller) {
+      const batch = records.slice(index, index + BATCH_SIZE);
+      index += BATCH_SIZE;
+      if (batch.length) {
+        controller.enqueue(encoder.encode(serialize(batch, format).join("")));
+      }
+      if (index >= records.length) controller.close();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": EXPORT_FORMATS[format].contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
@@ -0,0 +1,576 @@
+import { unzipSync } from "fflate";
+import prisma from "./db.server.js";
+import { isPdfUrl, normalizeBatch } from "./batch-links.server.js";
+import {
+  COA_FORM_FIELDS,
+  CoaWriteError,
+  coaSaveErrors,
+  findBatchConflict,
+  loadCoaContext,
+  saveCoa,
+} from "./coa-editor.server.js";
+import { csvLine } from "./coa-export.server.js";
+import { COA_FIELDS } from "./metaobjects.server.js";
+
+// Bulk import from a lab's monthly spreadsheet and zip of PDFs. An upload is
+// stored as a draft; a dry run maps its columns onto the COA fields (the same
+// ones fetchAllCOAs reads), matches each row to a PDF and to any existing
+// record with its batch number, and plans a create, update or skip. Running
+// the import then saves a few rows per request, so each request stays well
+// inside serverless time limits and the page can show progress between them.
+
+export const DATE_FORMATS = {
+  iso: "YYYY-MM-DD",
+  mdy: "MM/DD/YYYY",
+  dmy: "DD/MM/YYYY",
+};
+
+// Header names (compared without case or punctuation) each field is guessed from
+const FIELD_ALIASES = {
+  date: ["date", "test date", "tested", "tested on", "date tested"],
+  product_name: ["product", "product name", "product title", "item"],
+  batch_number: ["batch", "batch number", "batch no", "lot", "lot number"],
+  best_by_date: ["best by", "best by date", "expiry", "expiry date", "expires"],
+  pdf_link: ["pdf", "pdf link", "pdf file", "file", "filename", "coa pdf"],
+};
+
+const BATCH_SIZE = Number(process.env.COA_IMPORT_BATCH_SIZE) || 5;
+const MAX_ROWS = 5000;
+// Both files arrive in one request; Vercel caps request bodies at 4.5 MB
+const MAX_UPLOAD_BYTES =
+  (Number(process.env.COA_MAX_IMPORT_MB) || 4) * 1024 * 1024;
+// PDFs barely compress, so a real set unzips to little more than the upload;
+// anything far beyond that is a zip bomb
+const MAX_UNZIPPED_BYTES = 4 * MAX_UPLOAD_BYTES;
+// A request that died mid-batch gives up its lock after this long
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/** An upload or mapping the import can't work with. */
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/**
+ * RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings and a
+ * leading BOM. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new ImportError("The CSV has an unclosed quote");
+  if (cell || row.length) rows.push([...row, cell]);
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+// Exports prefix formula-looking cells with ' (see csvLine); undo that
+function cleanCell(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/^'(?=[=+\-@])/, "");
+}
+
+const headerKey = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/** Field key -> CSV header, for every field a header obviously names. */
+export function guessMapping(headers) {
+  const mapping = {};
+  COA_FIELDS.forEach((key) => {
+    const names = [headerKey(key), ...FIELD_ALIASES[key]];
+    const header = headers.find((candidate) =>
+      names.includes(headerKey(candidate)),
+    );
+    if (header) mapping[key] = header;
+  });
+  return mapping;
+}
+
+/** A date cell in `format` as YYYY-MM-DD; null when it doesn't fit. */
+export function normalizeDate(value, format) {
+  const pad = (part) => part.padStart(2, "0");
+  let match;
+  if (format === "iso") {
+    match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value);
+    return match ? `${match[1]}-${pad(match[2])}-${pad(match[3])}` : null;
+  }
+  match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(value);
+  if (!match) return null;
+  const [month, day] =
+    format === "mdy" ? [match[1], match[2]] : [match[2], match[1]];
+  return `${match[3]}-${pad(month)}-${pad(day)}`;
+}
+
+const basename = (path) => path.split("/").pop();
+const stem = (filename) => filename.replace(/\.pdf$/i, "");
+
+/** The PDFs in a zip as `[{ filename, data }]`, ignoring folders and junk. */
+export function readPdfZip(bytes) {
+  let total = 0;
+  let entries;
+  try {
+    entries = unzipSync(bytes, {
+      filter(file) {
+        const name = basename(file.name);
+        const wanted =
+          /\.pdf$/i.test(name) &&
+          !name.startsWith(".") &&
+          !file.name.startsWith("__MACOSX/");
+        if (wanted) total += file.originalSize;
+        return wanted && total <= MAX_UNZIPPED_BYTES;
+      },
+    });
+  } catch (err) {
+    throw new ImportError(`The zip couldn't be read: ${err.message}`);
+  }
+  if (total > MAX_UNZIPPED_BYTES) {
+    throw new ImportError(
+      `The zip holds more than ${MAX_UNZIPPED_BYTES / 1024 / 1024} MB of PDFs`,
+    );
+  }
+
+  const files = new Map();
+  Object.entries(entries).forEach(([path, data]) => {
+    files.set(basename(path), data);
+  });
+  return [...files].map(([filename, data]) => ({ filename, data }));
+}
+
+/**
+ * The PDF for a row: the file the mapped PDF column names, otherwise the one
+ * named after the batch number (e.g. B-1042.pdf).
+ */
+export function matchPdf(filenames, { pdfName, batchNumber }) {
+  if (pdfName) {
+    const wanted = basename(pdfName).toLowerCase();
+    const match = filenames.find(
+      (filename) =>
+        filename.toLowerCase() === wanted ||
+        stem(filename).toLowerCase() === wanted,
+    );
+    if (match) return match;
+  }
+  const batch = normalizeBatch(batchNumber);
+  if (!batch) return null;
+  return (
+    filenames.find((filename) => normalizeBatch(stem(filename)) === batch) ??
+    null
+  );
+}
+
+async function readUpload(file, label) {
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new ImportError(
+      `The ${label} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`,
+    );
+  }
+  return new Uint8Array(await file.arrayBuffer());
+}
+
+/** Stores an uploaded CSV (and zip of PDFs) as a draft import. */
+export async function createImport(shop, { csv, zip = null }) {
+  if (!csv?.size) throw new ImportError("Choose a CSV file to import");
+  if (zip?.size && csv.size + zip.size > MAX_UPLOAD_BYTES) {
+    throw new ImportError(
+      `The CSV and zip together can be up to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`,
+    );
+  }
+
+  const text = new TextDecoder().decode(await readUpload(csv, "CSV"));
+  const [headerRow, ...records] = parseCsv(text);
+  if (!headerRow || !records.length) {
+    throw new ImportError("The CSV needs a header row and at least one row");
+  }
+  if (records.length > MAX_ROWS) {
+    throw new ImportError(`Import up to ${MAX_ROWS} rows at a time`);
+  }
+  const headers = headerRow.map((header) => header.trim());
+  const files = zip?.size ? readPdfZip(await readUpload(zip, "zip")) : [];
+
+  return prisma.coaImport.create({
+    data: {
+      shop,
+      filename: csv.name || "import.csv",
+      headers,
+      mapping: guessMapping(headers),
+      // Row numbers count the header row, as a spreadsheet numbers them
+      rows: records.map((cells, index) => ({
+        line: index + 2,
+        cells: cells.map(cleanCell),
+      })),
+      files: {
+        create: files.map(({ filename, data }) => ({
+          filename,
+          data: Buffer.from(data),
+        })),
+      },
+    },
+  });
+}
+
+export async function getImport(shop, id) {
+  return prisma.coaImport.findFirst({ where: { id, shop } });
+}
+
+export async function listImports(shop, { take = 10 } = {}) {
+  return prisma.coaImport.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+    select: {
+      id: true,
+      filename: true,
+      status: true,
+      createdCount: true,
+      updatedCount: true,
+      failedCount: true,
+      createdAt: true,
+    },
+  });
+}
+
+export async function deleteShopImports(shop) {
+  await prisma.coaImport.deleteMany({ where: { shop } });
+}
+
+export async function importFileCount(importId) {
+  return prisma.coaImportFile.count({ where: { importId } });
+}
+
+async function importFilenames(importId) {
+  const files = await prisma.coaImportFile.findMany({
+    where: { importId },
+    select: { filename: true },
+  });
+  return files.map((file) => file.filename);
+}
+
+/**
+ * Reads the mapping form: `map_<field>` selects holding a header name (or
+ * nothing) and the `dateFormat` select.
+ */
+export function parseMappingForm(formData, headers) {
+  const mapping = {};
+  COA_FIELDS.forEach((key) => {
+    const header = formData.get(`map_${key}`);
+    if (header && headers.includes(header)) mapping[key] = header;
+  });
+  const dateFormat = formData.get("dateFormat");
+
+  const missing = ["batch_number"].filter((key) => !mapping[key]);
+  return {
+    mapping,
+    dateFormat: DATE_FORMATS[dateFormat] ? dateFormat : "iso",
+    error: missing.length
+      ? "Map a column to the batch number; rows are matched by it"
+      : null,
+  };
+}
+
+function rowValues(cells, headers, mapping, dateFormat) {
+  const cell = (key) =>
+    mapping[key] ? (cells[headers.indexOf(mapping[key])] ?? "") : undefined;
+  const values = {};
+  const dateErrors = {};
+
+  COA_FORM_FIELDS.forEach((key) => {
+    const value = cell(key);
+    if (value === undefined) return;
+    if (value && (key === "date" || key === "best_by_date")) {
+      const date = normalizeDate(value, dateFormat);
+      if (!date) dateErrors[key] = `Expected ${DATE_FORMATS[dateFormat]}`;
+      values[key] = date ?? value;
+    } else {
+      values[key] = value;
+    }
+  });
+  return { values, pdfName: cell("pdf_link") || "", dateErrors };
+}
+
+/**
+ * The dry run: plans every row against the shop's records and the uploaded
+ * PDFs, and stores the plan. Each row gets an `action` of create, update or
+ * skip, with `errors` explaining any skip.
+ */
+export async function planImport(admin, shop, id, { mapping, dateFormat }) {
+  const draft = await getImport(shop, id);
+  if (!draft) throw new ImportError("Import not found");
+  if (draft.status !== "draft") {
+    throw new ImportError("This import has already run");
+  }
+
+  const context = await loadCoaContext(admin, shop);
+  const filenames = await importFilenames(id);
+  const seen = new Map();
+
+  const rows = draft.rows.map(({ line, cells }) => {
+    const { values, pdfName, dateErrors } = rowValues(
+      cells,
+      draft.headers,
+      mapping,
+      dateFormat,
+    );
+    const existing = findBatchConflict(
+      context.metaobjects,
+      values.batch_number,
+    );
+    // Columns that aren't mapped leave an existing record's values alone
+    if (existing) {
+      COA_FORM_FIELDS.forEach((key) => {
+        if (values[key] === undefined) values[key] = existing.fields[key];
+      });
+    }
+    const pdf = matchPdf(filenames, {
+      pdfName,
+      batchNumber: values.batch_number,
+    });
+
+    const errors = {
+      ...coaSaveErrors(context, { existing, values, hasPdf: Boolean(pdf) }),
+      ...dateErrors,
+    };
+    // A link column (e.g. from an export) keeps an existing record's current
+    // PDF; a new record would be created without one
+    if (pdfName && !pdf && !isPdfUrl(pdfName)) {
+      errors.pdf_link = `${pdfName} isn't in the zip`;
+    } else if (pdfName && !pdf && !existing) {
+      errors.pdf_link = `New records need their PDF in the zip, not a link (${pdfName})`;
+    }
+    const batch = normalizeBatch(values.batch_number);
+    if (batch && seen.has(batch)) {
+      errors.batch_number = `Batch ${values.batch_number} is also on line ${seen.get(batch)}`;
+    } else if (batch) {
+      seen.set(batch, line);
+    }
+
+    const messages = Object.values(errors);
+    return {
+      line,
+      cells,
+      values,
+      pdf,
+      targetId: existing?.id ?? null,
+      action: messages.length ? "skip" : existing ? "update" : "create",
+      errors: messages,
+    };
+  });
+
+  return prisma.coaImport.update({
+    where: { id },
+    data: { mapping, dateFormat, rows },
+  });
+}
+
+/** Counts of each planned action, and of results once rows have run. */
+export function summarizeImport(coaImport) {
+  const count = (predicate) => coaImport.rows.filter(predicate).length;
+  return {
+    total: coaImport.rows.length,
+    planned: coaImport.rows.some((row) => row.action),
+    create: count((row) => row.action === "create"),
+    update: count((row) => row.action === "update"),
+    skip: count((row) => row.action === "skip"),
+    processed: coaImport.processed,
+    created: coaImport.createdCount,
+    updated: coaImport.updatedCount,
+    failed: coaImport.failedCount,
+  };
+}
+
+export async function startImport(shop, id) {
+  const coaImport = await getImport(shop, id);
+  if (!coaImport || coaImport.status !== "draft") {
+    throw new ImportError("This import can't be started");
+  }
+  const { planned, create, update } = summarizeImport(coaImport);
+  if (!planned) throw new ImportError("Preview the import first");
+  if (!create && !update) throw new ImportError("No rows can be imported");
+
+  return prisma.coaImport.update({
+    where: { id },
+    data: { status: "running" },
+  });
+}
+
+export async function cancelImport(shop, id) {
+  await prisma.coaImport.updateMany({
+    where: { id, shop, status: { in: ["draft", "running"] } },
+    data: { status: "cancelled" },
+  });
+  await prisma.coaImportFile.deleteMany({
+    where: { importId: id, import: { shop } },
+  });
+}
+
+const RESULT_COUNTS = {
+  created: "createdCount",
+  updated: "updatedCount",
+  skipped: "failedCount",
+  failed: "failedCount",
+};
+
+async function runRow(admin, shop, row, context) {
+  if (row.action === "skip") {
+    return { status: "skipped", error: row.errors.join("; ") };
+  }
+
+  let pdf = null;
+  if (row.pdf) {
+    const file = await prisma.coaImportFile.findFirst({
+      where: { importId: context.importId, filename: row.pdf },
+    });
+    if (!file) return { status: "failed", error: `${row.pdf} is gone` };
+    pdf = new File([file.data], row.pdf, { type: "application/pdf" });
+  }
+
+  try {
+    const saved = await saveCoa(
+      admin,
+      shop,
+      { id: row.targetId, values: row.values, pdf },
+      context,
+    );
+    return {
+      status: row.targetId ? "updated" : "created",
+      id: saved.id,
+    };
+  } catch (err) {
+    if (!(err instanceof CoaWriteError)) throw err;
+    const details = Object.values(err.errors);
+    return {
+      status: "failed",
+      error: details.length ? details.join("; ") : err.message,
+    };
+  }
+}
+
+/**
+ * Saves the next batch of a running import and returns the import as it
+ * stands afterwards. Returns null when another request is already working on
+ * it, or it isn't running. Each row's result is stored as soon as it's saved,
+ * so a batch that dies partway doesn't write the same records again next time.
+ */
+export async function processImportBatch(admin, shop, id) {
+  const now = new Date();
+  const claimed = await prisma.coaImport.updateMany({
+    where: {
+      id,
+      shop,
+      status: "running",
+      OR: [
+        { lockedAt: null },
+        { lockedAt: { lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    data: { lockedAt: now },
+  });
+  if (!claimed.count) return null;
+
+  try {
+    const coaImport = await getImport(shop, id);
+    const context = { ...(await loadCoaContext(admin, shop)), importId: id };
+    const rows = [...coaImport.rows];
+    const start = coaImport.processed;
+    const end = Math.min(rows.length, start + BATCH_SIZE);
+
+    for (let index = start; index < end; index++) {
+      const result = await runRow(admin, shop, rows[index], context);
+      rows[index] = { ...rows[index], result };
+      await prisma.coaImport.update({
+        where: { id },
+        data: {
+          rows,
+          processed: index + 1,
+          [RESULT_COUNTS[result.status]]: { increment: 1 },
+        },
+      });
+    }
+
+    const done = end >= rows.length;
+    const updated = await prisma.coaImport.update({
+      where: { id },
+      data: { status: done ? "completed" : "running", lockedAt: null },
+    });
+    // The PDFs are in Shopify now
+    if (done) {
+      await prisma.coaImportFile.deleteMany({ where: { importId: id } });
+    }
+    return updated;
+  } catch (err) {
+    await prisma.coaImport.update({
+      where: { id },
+      data: { lockedAt: null },
+    });
+    throw err;
+  }
+}
+
+const REPORT_COLUMNS = [
+  "Line",
+  "Batch number",
+  "Product",
+  "PDF",
+  "Planned",
+  "Result",
+  "Error",
+];
+
+/**
+ * CSV of every row that was skipped or failed (or, before the import runs,
+ * that the dry run will skip), with the reason.
+ */
+export function importErrorReport(coaImport) {
+  const problems = coaImport.rows.filter((row) =>
+    row.result
+      ? !["created", "updated"].includes(row.result.status)
+      : row.action === "skip",
+  );
+  const lines = problems.map((row) =>
+    csvLine([
+      row.line,
+      row.values?.batch_number ?? "",
+      row.values?.product_name ?? "",
+      row.pdf ?? "",
+      row.action,
+      row.result?.status ?? "",
+      row.result?.error ?? row.errors.join("; "),
+    ]),
+  );
+  return `\uFEFF${csvLine(REPORT_COLUMNS)}${lines.join("")}`;
+}
@@ -0,0 +1,286 @@
+import { zipSync } from "fflate";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const prisma = vi.hoisted(() => ({
+  coaImport: { findFirst: vi.fn(), update: vi.fn(), updateMany: vi.fn() },
+  coaImportFile: { findMany: vi.fn(), findFirst: vi.fn(), deleteMany: vi.fn() },
+}));
+vi.mock("./db.server.js", () => ({ default: prisma }));
+vi.mock("./coa-editor.server.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadCoaContext: vi.fn(),
+  saveCoa: vi.fn(),
+}));
+
+const { loadCoaContext, saveCoa } = await import("./coa-editor.server.js");
+const {
+  ImportError,
+  cancelImport,
+  guessMapping,
+  matchPdf,
+  normalizeDate,
+  parseCsv,
+  planImport,
+  processImportBatch,
+  readPdfZip,
+} = await import("./coa-import.server.js");
+
+describe("parseCsv", () => {
+  it("handles quotes, CRLF, a BOM and blank lines", () => {
+    expect(parseCsv('﻿a,b\r\n"x, ""y""",z\r\n\r\n,last\n')).toEqual([
+      ["a", "b"],
+      ['x, "y"', "z"],
+      ["", "last"],
+    ]);
+  });
+
+  it("rejects an unclosed quote", () => {
+    expect(() => parseCsv('a\n"b')).toThrow(ImportError);
+  });
+});
+
+describe("guessMapping", () => {
+  it("maps obvious headers to fields", () => {
+    expect(
+      guessMapping(["Lot Number", "Product Name", "Tested On", "Notes"]),
+    ).toEqual({
+      batch_number: "Lot Number",
+      product_name: "Product Name",
+      date: "Tested On",
+    });
+  });
+});
+
+describe("normalizeDate", () => {
+  it.each([
+    ["2025-3-7", "iso", "2025-03-07"],
+    ["03/07/2025", "mdy", "2025-03-07"],
+    ["07/03/2025", "dmy", "2025-03-07"],
+    ["March 7", "iso", null],
+  ])("%s as %s is %s", (value, format, expected) => {
+    expect(normalizeDate(value, format)).toBe(expected);
+  });
+});
+
+describe("matchPdf", () => {
+  const filenames = ["B-1042.pdf", "summary.PDF"];
+
+  it("prefers the file the PDF column names", () => {
+    expect(
+      matchPdf(filenames, { pdfName: "pdfs/Summary", batchNumber: "B-1042" }),
+    ).toBe("summary.PDF");
+  });
+
+  it("falls back to the file named after the batch", () => {
+    expect(matchPdf(filenames, { pdfName: "", batchNumber: "b 1042" })).toBe(
+      "B-1042.pdf",
+    );
+    expect(matchPdf(filenames, { batchNumber: "B-9" })).toBeNull();
+  });
+});
+
+describe("readPdfZip", () => {
+  it("keeps PDFs and drops junk", () => {
+    const zip = zipSync({
+      "certs/B-1.pdf": new Uint8Array([1]),
+      "__MACOSX/certs/._B-1.pdf": new Uint8Array([2]),
+      "notes.txt": new Uint8Array([3]),
+    });
+    expect(readPdfZip(zip).map((file) => file.filename)).toEqual(["B-1.pdf"]);
+  });
+
+  it("refuses a zip that unpacks far beyond the upload limit", () => {
+    const zip = zipSync({ "bomb.pdf": new Uint8Array(17 * 1024 * 1024) });
+    expect(() => readPdfZip(zip)).toThrow("MB of PDFs");
+  });
+});
+
+describe("planImport", () => {
+  const existing = {
+    id: "gid://shopify/Metaobject/1",
+    handle: "coa-b1",
+    display_name: "Gummies B1",
+    fields: {
+      date: "2025-01-10",
+      product_name: "Gummies",
+      batch_number: "B1",
+      pdf_link: "https://cdn.shopify.com/b1.pdf",
+    },
+  };
+  const headers = ["Batch", "Product", "Date", "PDF"];
+  const mapping = {
+    batch_number: "Batch",
+    product_name: "Product",
+    date: "Date",
+    pdf_link: "PDF",
+  };
+
+  async function plan(rows, filenames = []) {
+    prisma.coaImport.findFirst.mockResolvedValue({
+      id: "import-1",
+      status: "draft",
+      headers,
+      rows: rows.map((cells, index) => ({ line: index + 2, cells })),
+    });
+    prisma.coaImportFile.findMany.mockResolvedValue(
+      filenames.map((filename) => ({ filename })),
+    );
+    prisma.coaImport.update.mockImplementation(({ data }) => data);
+
+    const planned = await planImport({}, "shop.myshopify.com", "import-1", {
+      mapping,
+      dateFormat: "iso",
+    });
+    return planned.rows;
+  }
+
+  beforeEach(() => {
+    loadCoaContext.mockResolvedValue({
+      type: "certificates_of_analysis",
+      definition: {
+        name: "Certificate of analysis",
+        fields: [
+          { key: "date", type: "date", required: true },
+          { key: "product_name", type: "single_line_text_field" },
+          { key: "batch_number", type: "single_line_text_field" },
+          { key: "pdf_link", type: "url" },
+        ],
+      },
+      metaobjects: [existing],
+    });
+  });
+
+  it("creates new batches with the PDF named after them", async () => {
+    const [row] = await plan(
+      [["B2", "Tincture", "2025-02-01", ""]],
+      ["B2.pdf"],
+    );
+    expect(row).toMatchObject({
+      action: "create",
+      pdf: "B2.pdf",
+      targetId: null,
+      errors: [],
+    });
+  });
+
+  it("updates the record with the same batch, however it's written", async () => {
+    const [row] = await plan([
+      ["b-1", "Gummies", "2025-03-01", existing.fields.pdf_link],
+    ]);
+    expect(row).toMatchObject({
+      action: "update",
+      targetId: existing.id,
+      pdf: null,
+      values: { batch_number: "b-1", date: "2025-03-01" },
+      errors: [],
+    });
+  });
+
+  it("skips a new row whose PDF is only a link", async () => {
+    const [row] = await plan([
+      ["B3", "Tincture", "2025-02-01", "https://example.com/b3.pdf"],
+    ]);
+    expect(row.action).toBe("skip");
+    expect(row.errors).toEqual([
+      "New records need their PDF in the zip, not a link (https://example.com/b3.pdf)",
+    ]);
+  });
+
+  it("skips rows with a missing PDF, a bad date or a repeated batch", async () => {
+    const rows = await plan([
+      ["B4", "Tincture", "2025-02-01", "b4-report.pdf"],
+      ["B5", "Tincture", "02/01/2025", ""],
+      ["B6", "Tincture", "2025-02-01", ""],
+      ["B 6", "Tincture", "2025-02-02", ""],
+    ]);
+    expect(rows.map((row) => [row.action, row.errors])).toEqual([
+      ["skip", ["b4-report.pdf isn't in the zip"]],
+      ["skip", ["Expected YYYY-MM-DD"]],
+      ["create", []],
+      ["skip", ["Batch B 6 is also on line 4"]],
+    ]);
+  });
+
+  it("refuses an import that already ran", async () => {
+    prisma.coaImport.findFirst.mockResolvedValue({ status: "completed" });
+    await expect(
+      planImport({}, "shop.myshopify.com", "import-1", {
+        mapping,
+        dateFormat: "iso",
+      }),
+    ).rejects.toThrow("already run");
+  });
+});
+
+describe("processImportBatch", () => {
+  const rows = ["B1", "B2", "B3"].map((batch, index) => ({
+    line: index + 2,
+    values: { batch_number: batch },
+    pdf: null,
+    targetId: null,
+    action: "create",
+    errors: [],
+  }));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.coaImport.updateMany.mockResolvedValue({ count: 1 });
+    prisma.coaImport.findFirst.mockResolvedValue({
+      id: "import-1",
+      status: "running",
+      processed: 0,
+      rows,
+    });
+    prisma.coaImport.update.mockImplementation(({ data }) => data);
+    loadCoaContext.mockResolvedValue({ metaobjects: [] });
+  });
+
+  it("keeps the rows saved before a batch fails", async () => {
+    saveCoa
+      .mockResolvedValueOnce({ id: "gid://shopify/Metaobject/1" })
+      .mockRejectedValueOnce(new Error("socket hang up"));
+
+    await expect(
+      processImportBatch({}, "shop.myshopify.com", "import-1"),
+    ).rejects.toThrow("socket hang up");
+
+    const [saved, unlocked] = prisma.coaImport.update.mock.calls.map(
+      ([call]) => call.data,
+    );
+    expect(saved).toMatchObject({
+      processed: 1,
+      createdCount: { increment: 1 },
+    });
+    expect(saved.rows[0].result).toEqual({
+      status: "created",
+      id: "gid://shopify/Metaobject/1",
+    });
+    expect(saved.rows[1].result).toBeUndefined();
+    expect(unlocked).toEqual({ lockedAt: null });
+  });
+
+  it("completes once the last row is saved", async () => {
+    saveCoa.mockResolvedValue({ id: "gid://shopify/Metaobject/1" });
+
+    const finished = await processImportBatch(
+      {},
+      "shop.myshopify.com",
+      "import-1",
+    );
+    expect(finished).toEqual({ status: "completed", lockedAt: null });
+    expect(prisma.coaImportFile.deleteMany).toHaveBeenCalledWith({
+      where: { importId: "import-1" },
+    });
+  });
+});
+
+describe("cancelImport", () => {
+  it("only deletes the shop's own staged files", async () => {
+    prisma.coaImport.updateMany.mockResolvedValue({ count: 0 });
+    await cancelImport("other.myshopify.com", "import-1");
+
+    expect(prisma.coaImportFile.deleteMany).toHaveBeenCalledWith({
+      where: { importId: "import-1", import: { shop: "other.myshopify.com" } },
+    });
+  });
+});
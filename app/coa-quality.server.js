@@ -0,0 +1,454 @@
+import { lookup } from "node:dns";
+import { BlockList, isIP } from "node:net";
+import { Agent, fetch } from "undici";
+import { cachedForShop } from "./cache.server.js";
+import { normalizeBatch } from "./batch-links.server.js";
+import { metaobjectNumericId } from "./coa-editor.server.js";
+import { isFileGid } from "./files.server.js";
+import { COA_FIELDS, toCoa } from "./metaobjects.server.js";
+import { getShopSettings } from "./settings.server.js";
+import { loadMetaobjects } from "./sync.server.js";
+
+// Data quality checks over every record of a shop's COA type, including the
+// ones toCoas drops before they reach the storefront. Each problem names the
+// field it's about and the record carries links to fix it, in the app's
+// editor or Shopify's.
+
+export const QUALITY_CHECKS = {
+  missing_required: {
+    severity: "error",
+    label: "Missing required field (hidden from the storefront)",
+  },
+  missing_field: { severity: "warning", label: "Missing field" },
+  invalid_date: { severity: "error", label: "Unreadable date" },
+  best_by_before_test: {
+    severity: "warning",
+    label: "Best by date before test date",
+  },
+  broken_pdf: { severity: "error", label: "Broken PDF link" },
+  duplicate_batch: { severity: "warning", label: "Duplicate batch number" },
+};
+
+const FIELD_LABELS = {
+  date: "Test date",
+  product_name: "Product",
+  batch_number: "Batch number",
+  pdf_link: "PDF link",
+  best_by_date: "Best by date",
+};
+
+// Optional fields worth flagging when empty: without them there's no QR code
+// or landing page, or nothing to download
+const EXPECTED_FIELDS = ["batch_number", "pdf_link"];
+
+// One link's requests, redirects included, share this timeout
+const LINK_CHECK_TIMEOUT_MS = 5000;
+const LINK_CHECK_CONCURRENCY = 8;
+// A report stops starting checks once one more might overrun this, keeping
+// the request inside serverless time limits. Results are cached per link, so
+// the next report carries on where this one stopped.
+const LINK_CHECK_BUDGET_MS = 20000;
+const LINK_CHECK_TTL = 3600;
+const MAX_REDIRECTS = 3;
+
+// Links are merchant-entered, so the checker only requests public addresses
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4"),
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6"),
+);
+
+const isUnparseable = (value) =>
+  Boolean(value) && Number.isNaN(Date.parse(value));
+
+/**
+ * Problems with one record's own fields, as `{ code, field, message }`.
+ * `requiredFields` are the shop's; a record missing one is hidden.
+ */
+export function checkRecord(metaobject, { requiredFields }) {
+  const { fields } = metaobject;
+  const problems = [];
+
+  COA_FIELDS.forEach((key) => {
+    const required = requiredFields.includes(key);
+    if (fields[key] || (!required && !EXPECTED_FIELDS.includes(key))) return;
+    problems.push({
+      code: required ? "missing_required" : "missing_field",
+      field: key,
+      message: `${FIELD_LABELS[key]} is empty`,
+    });
+  });
+
+  ["date", "best_by_date"].forEach((key) => {
+    if (isUnparseable(fields[key])) {
+      problems.push({
+        code: "invalid_date",
+        field: key,
+        message: `${FIELD_LABELS[key]} "${fields[key]}" isn't a date`,
+      });
+    }
+  });
+  if (
+    fields.date &&
+    fields.best_by_date &&
+    Date.parse(fields.best_by_date) < Date.parse(fields.date)
+  ) {
+    problems.push({
+      code: "best_by_before_test",
+      field: "best_by_date",
+      message: `Best by ${fields.best_by_date} is before the test date ${fields.date}`,
+    });
+  }
+
+  const pdf = fields.pdf_link;
+  if (pdf && isFileGid(pdf) && !metaobject.files?.pdf_link) {
+    problems.push({
+      code: "broken_pdf",
+      field: "pdf_link",
+      message: "The referenced file no longer exists",
+    });
+  } else if (pdf && !isFileGid(pdf) && !/^https?:\/\//i.test(pdf)) {
+    problems.push({
+      code: "broken_pdf",
+      field: "pdf_link",
+      message: `"${pdf}" isn't a URL`,
+    });
+  }
+
+  return problems;
+}
+
+/** Record id -> the other records sharing its batch number. */
+export function findDuplicateBatches(metaobjects) {
+  const groups = new Map();
+  metaobjects.forEach((metaobject) => {
+    const batch = normalizeBatch(metaobject.fields.batch_number);
+    if (!batch) return;
+    groups.set(batch, [...(groups.get(batch) || []), metaobject]);
+  });
+
+  const duplicates = new Map();
+  groups.forEach((group) => {
+    if (group.length < 2) return;
+    group.forEach((metaobject) => {
+      duplicates.set(
+        metaobject.id,
+        group.filter((other) => other.id !== metaobject.id),
+      );
+    });
+  });
+  return duplicates;
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = isIP(address) === 6 ? "ipv6" : "ipv4";
+  return PRIVATE_ADDRESSES.check(address, family);
+}
+
+class PrivateAddressError extends Error {
+  constructor(hostname) {
+    super(`${hostname} resolves to a private address`);
+    this.name = "PrivateAddressError";
+  }
+}
+
+/**
+ * dns.lookup for the link checker's connections: fails with
+ * PrivateAddressError unless every address is public. Checking inside the
+ * connection's own lookup means the address checked is the one connected to,
+ * so a host can't pass a check and then resolve somewhere internal.
+ */
+export function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (
+      !addresses.length ||
+      addresses.some(({ address }) => isPrivateAddress(address))
+    ) {
+      return callback(new PrivateAddressError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const linkCheckAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// Connections to IP literals skip the lookup, so those are checked up front
+function isPrivateHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (/(^|\.)(localhost|local|internal)$/i.test(hostname)) return true;
+  return isIP(hostname) !== 0 && isPrivateAddress(hostname);
+}
+
+/**
+ * `{ ok, message }` for one link. `ok` is null when the link couldn't be
+ * verified either way: it redirects to another host, which isn't followed.
+ */
+async function checkLink(link) {
+  const signal = AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS);
+  const origin = new URL(link);
+
+  const request = async (method, headers = {}) => {
+    let url = origin;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (isPrivateHost(url)) throw new PrivateAddressError(url.hostname);
+      const response = await fetch(url, {
+        method,
+        headers,
+        redirect: "manual",
+        signal,
+        dispatcher: linkCheckAgent,
+      });
+      const location = response.headers.get("Location");
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response };
+      }
+      url = new URL(location, url);
+      if (url.host !== origin.host) return { offHost: url.host };
+    }
+    return { tooManyRedirects: true };
+  };
+
+  try {
+    let result = await request("HEAD");
+    // Some hosts refuse HEAD; ask for the first byte instead
+    if ([403, 405].includes(result.response?.status)) {
+      result = await request("GET", { Range: "bytes=0-0" });
+    }
+    if (result.offHost) {
+      return {
+        ok: null,
+        message: `The PDF link redirects to ${result.offHost}, which isn't checked`,
+      };
+    }
+    if (result.tooManyRedirects) {
+      return { ok: false, message: "The PDF link redirects too many times" };
+    }
+
+    const { response } = result;
+    if (!response.ok) {
+      return {
+        ok: false,
+        message: `The PDF link returns HTTP ${response.status}`,
+      };
+    }
+    const type = response.headers.get("Content-Type") || "";
+    if (type.startsWith("text/html")) {
+      return { ok: false, message: "The PDF link opens a web page, not a PDF" };
+    }
+    return { ok: true };
+  } catch (err) {
+    if (
+      err instanceof PrivateAddressError ||
+      err.cause instanceof PrivateAddressError
+    ) {
+      return {
+        ok: false,
+        message:
+          "The PDF link points at a private address, so it wasn't opened",
+      };
+    }
+    return {
+      ok: false,
+      message:
+        err.name === "TimeoutError"
+          ? "The PDF link timed out"
+          : `The PDF link can't be reached (${err.cause?.message ?? err.message})`,
+    };
+  }
+}
+
+/**
+ * url -> `{ ok, message }`, fetching at most LINK_CHECK_CONCURRENCY at once.
+ * Each result is cached for `shop`; links left when the time budget runs out
+ * are missing from the result.
+ */
+export async function checkPdfLinks(
+  shop,
+  urls,
+  { budgetMs = LINK_CHECK_BUDGET_MS } = {},
+) {
+  const deadline = Date.now() + budgetMs;
+  const results = {};
+  const queue = [...urls];
+  const worker = async () => {
+    while (queue.length && deadline - Date.now() >= LINK_CHECK_TIMEOUT_MS) {
+      const url = queue.shift();
+      results[url] = await cachedForShop(
+        shop,
+        `pdf-link-check:${url}`,
+        () => checkLink(url),
+        { ttl: LINK_CHECK_TTL },
+      );
+    }
+  };
+  await Promise.all(
+    Array.from({ length: LINK_CHECK_CONCURRENCY }, () => worker()),
+  );
+  return results;
+}
+
+/** Where to fix a record: the app's editor and Shopify's metaobject editor. */
+export function fixLinks(shop, type, id) {
+  const numericId = metaobjectNumericId(id);
+  const store = shop.replace(/\.myshopify\.com$/, "");
+  return {
+    editPath: `/app/coas/${numericId}`,
+    shopifyAdminUrl: `https://admin.shopify.com/store/${store}/content/metaobjects/entries/${type}/${numericId}`,
+  };
+}
+
+/**
+ * The report: every record with at least one problem, worst first, and
+ * counts per check. `linkResults` (from checkPdfLinks) adds unreachable PDFs.
+ */
+export function buildQualityReport(
+  metaobjects,
+  { shop, type, requiredFields, linkResults = null },
+) {
+  const duplicates = findDuplicateBatches(metaobjects);
+
+  const records = metaobjects
+    .map((metaobject) => {
+      const problems = checkRecord(metaobject, { requiredFields });
+
+      const others = duplicates.get(metaobject.id);
+      if (others) {
+        problems.push({
+          code: "duplicate_batch",
+          field: "batch_number",
+          message: `Batch ${metaobject.fields.batch_number} is also on ${others
+            .map((other) => other.display_name || other.handle)
+            .join(", ")}`,
+        });
+      }
+
+      const url = toCoa(metaobject).pdf_link;
+      const link = url && linkResults?.[url];
+      if (link?.ok === false) {
+        problems.push({
+          code: "broken_pdf",
+          field: "pdf_link",
+          message: link.message,
+        });
+      }
+
+      return {
+        id: metaobject.id,
+        handle: metaobject.handle,
+        product: metaobject.fields.product_name ?? null,
+        batch_number: metaobject.fields.batch_number ?? null,
+        hidden: problems.some((problem) => problem.code === "missing_required"),
+        problems: problems.map((problem) => ({
+          ...problem,
+          severity: QUALITY_CHECKS[problem.code].severity,
+        })),
+        ...fixLinks(shop, type, metaobject.id),
+      };
+    })
+    .filter((record) => record.problems.length);
+
+  const errorCount = (record) =>
+    record.problems.filter((problem) => problem.severity === "error").length;
+  records.sort((a, b) => errorCount(b) - errorCount(a));
+
+  const counts = Object.fromEntries(
+    Object.keys(QUALITY_CHECKS).map((code) => [
+      code,
+      records.filter((record) =>
+        record.problems.some((problem) => problem.code === code),
+      ).length,
+    ]),
+  );
+
+  return {
+    type,
+    total: metaobjects.length,
+    withProblems: records.length,
+    hidden: records.filter((record) => record.hidden).length,
+    linksChecked: Boolean(linkResults),
+    // PDFs left for the next report, or that couldn't be verified either way
+    linksUnchecked: linkResults
+      ? new Set(
+          metaobjects
+            .map((metaobject) => toCoa(metaobject).pdf_link)
+            .filter(
+              (url) =>
+                /^https?:\/\//i.test(url || "") &&
+                typeof linkResults[url]?.ok !== "boolean",
+            ),
+        ).size
+      : 0,
+    counts,
+    records,
+  };
+}
+
+/**
+ * The report for one shop. With `checkLinks`, PDF URLs are requested too, for
+ * as many as fit in LINK_CHECK_BUDGET_MS (each cached for an hour or until
+ * the records change).
+ */
+export async function loadQualityReport(
+  admin,
+  shop,
+  { checkLinks = false } = {},
+) {
+  const settings = await getShopSettings(shop);
+  const type = settings.metaobjectType;
+  const metaobjects = await loadMetaobjects(admin, shop, type, {
+    partial: true,
+  });
+
+  let linkResults = null;
+  if (checkLinks) {
+    const urls = [
+      ...new Set(
+        metaobjects
+          .map((metaobject) => toCoa(metaobject).pdf_link)
+          .filter(Boolean),
+      ),
+    ].filter((url) => /^https?:\/\//i.test(url));
+    linkResults = await checkPdfLinks(shop, urls);
+  }
+
+  return buildQualityReport(metaobjects, {
+    shop,
+    type,
+    requiredFields: settings.requiredFields,
+    linkResults,
+  });
+}
+
+/** Records with a problem matching `code` and/or `severity`. */
+export function filterQualityRecords(records, { code, severity } = {}) {
+  return records.filter((record) =>
+    record.problems.some(
+      (problem) =>
+        (!code || problem.code === code) &&
+        (!severity || problem.severity === severity),
+    ),
+  );
+}
@@ -0,0 +1,95 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const dns = vi.hoisted(() => ({ lookup: vi.fn() }));
+vi.mock("node:dns", () => ({ ...dns, default: dns }));
+vi.mock("./db.server.js", () => ({ default: {} }));
+
+const { checkPdfLinks, publicLookup } = await import("./coa-quality.server.js");
+
+// Makes the next lookups answer with `addresses`, one list per call
+function resolveTo(...answers) {
+  answers.forEach((addresses) => {
+    dns.lookup.mockImplementationOnce((hostname, options, callback) =>
+      callback(
+        null,
+        addresses.map((address) => ({
+          address,
+          family: address.includes(":") ? 6 : 4,
+        })),
+      ),
+    );
+  });
+}
+
+const lookupHost = (hostname, options = {}) =>
+  new Promise((resolve, reject) =>
+    publicLookup(hostname, options, (err, address, family) =>
+      err ? reject(err) : resolve({ address, family }),
+    ),
+  );
+
+describe("publicLookup", () => {
+  beforeEach(() => {
+    dns.lookup.mockReset();
+  });
+
+  it("passes public addresses through", async () => {
+    resolveTo(["93.184.216.34"]);
+    expect(await lookupHost("cdn.example.com")).toEqual({
+      address: "93.184.216.34",
+      family: 4,
+    });
+  });
+
+  it.each([
+    ["a private address", ["10.1.2.3"]],
+    ["loopback", ["127.0.0.1"]],
+    ["IPv6 loopback", ["::1"]],
+    ["an IPv4-mapped loopback", ["::ffff:127.0.0.1"]],
+    ["one private address among public ones", ["93.184.216.34", "10.0.0.1"]],
+  ])("refuses %s", async (_, addresses) => {
+    resolveTo(addresses);
+    await expect(lookupHost("lab.example.com")).rejects.toThrow(
+      "resolves to a private address",
+    );
+  });
+
+  it("checks every connection, so a rebinding host is caught", async () => {
+    resolveTo(["93.184.216.34"], ["127.0.0.1"]);
+    await lookupHost("rebind.example.com");
+    await expect(lookupHost("rebind.example.com")).rejects.toThrow(
+      "resolves to a private address",
+    );
+  });
+});
+
+describe("checkPdfLinks", () => {
+  beforeEach(() => {
+    dns.lookup.mockReset();
+  });
+
+  it.each([
+    "http://127.0.0.1/coa.pdf",
+    "http://[::1]/coa.pdf",
+    "http://printer.local/coa.pdf",
+  ])("doesn't open %s", async (url) => {
+    const results = await checkPdfLinks("literal.myshopify.com", [url]);
+    expect(results[url]).toEqual({
+      ok: false,
+      message: "The PDF link points at a private address, so it wasn't opened",
+    });
+    expect(dns.lookup).not.toHaveBeenCalled();
+  });
+
+  it("doesn't connect to a host that resolves somewhere private", async () => {
+    dns.lookup.mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: "169.254.169.254", family: 4 }]),
+    );
+    const url = "http://metadata.example.com/coa.pdf";
+
+    const results = await checkPdfLinks("rebind.myshopify.com", [url]);
+    expect(results[url]).toMatchObject({ ok: false });
+    expect(results[url].message).toContain("private address");
+    expect(dns.lookup).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,316 @@
+import { searchCoas } from "./coa-search.server.js";
+
+// Server-side paging, sorting and filtering for COA lists.
+//
+// The Admin API can't filter metaobjects by arbitrary field values or report a
+// total count, so the full (normalized) list is narrowed down here instead of
+// shipping every record to the storefront.
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+export const SORT_FIELDS = {
+  date: "date",
+  best_by_date: "best_by_date",
+  product: "product",
+  batch_number: "batch_number",
+};
+
+const DATE_SORT_FIELDS = new Set(["date", "best_by_date"]);
+
+// Certificates within this many days of their best-by date count as expiring
+export const EXPIRING_SOON_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Searches longer than this are refused rather than indexed against
+export const MAX_SEARCH_LENGTH = 200;
+
+// Parameters added by Shopify's app proxy; they never belong in page links.
+export const PROXY_PARAMS = [
+  "shop",
+  "signature",
+  "timestamp",
+  "path_prefix",
+  "logged_in_customer_id",
+];
+
+export class InvalidQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidQueryError";
+  }
+}
+
+function positiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidQueryError(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function dateParam(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new InvalidQueryError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return time;
+}
+
+function isTruthy(value) {
+  return ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+export function encodeCursor(offset) {
+  return Buffer.from(`offset:${offset}`).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  const match = /^offset:(\d+)$/.exec(
+    Buffer.from(cursor, "base64url").toString(),
+  );
+  if (!match) throw new InvalidQueryError("cursor is invalid");
+  return Number(match[1]);
+}
+
+/** Reads `page`/`pageSize`/`cursor`; a cursor wins over `page`. */
+export function parsePaging(
+  searchParams,
+  { defaultPageSize = DEFAULT_PAGE_SIZE } = {},
+) {
+  const get = (key) => searchParams.get(key) || undefined;
+
+  const pageSize = get("pageSize")
+    ? Math.min(positiveInt(get("pageSize"), "pageSize"), MAX_PAGE_SIZE)
+    : defaultPageSize;
+  const cursor = get("cursor");
+  const page = get("page") ? positiveInt(get("page"), "page") : 1;
+
+  return {
+    page: cursor ? undefined : page,
+    offset: cursor ? decodeCursor(cursor) : undefined,
+    pageSize,
+  };
+}
+
+/**
+ * Reads `sort`/`order` against a whitelist of sortable names. Unless a
+ * default order is given, date fields sort newest first and the rest A-Z.
+ */
+export function parseSort(
+  searchParams,
+  { fields, dateFields, defaultSort, defaultOrder },
+) {
+  let sort = searchParams.get("sort") || undefined;
+  let order = searchParams.get("order") || undefined;
+  if (!sort) {
+    sort = defaultSort;
+    order = order || defaultOrder;
+  }
+  // Also accept the compact `sort=-date` / `sort=date:asc` forms
+  if (sort.startsWith("-")) {
+    sort = sort.slice(1);
+    order = order || "desc";
+  } else if (sort.includes(":")) {
+    [sort, order] = sort.split(":");
+  }
+  if (!fields.includes(sort)) {
+    throw new InvalidQueryError(`sort must be one of ${fields.join(", ")}`);
+  }
+  order = (order || (dateFields.has(sort) ? "desc" : "asc")).toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw new InvalidQueryError("order must be asc or desc");
+  }
+  return { sort, order };
+}
+
+/**
+ * Reads paging, sorting, search (`q`) and filter options from URLSearchParams, falling back
+ * to the shop's configured page size and sort. Throws InvalidQueryError for
+ * values we can't interpret.
+ */
+export function parseCoaQuery(searchParams, defaults = {}) {
+  const get = (key) => searchParams.get(key) || undefined;
+  const search = get("q")?.trim() || "";
+  if (search.length > MAX_SEARCH_LENGTH) {
+    throw new InvalidQueryError(
+      `q must be at most ${MAX_SEARCH_LENGTH} characters`,
+    );
+  }
+
+  return {
+    ...parsePaging(searchParams, { defaultPageSize: defaults.pageSize }),
+    // Searches rank by relevance unless a sort is asked for
+    ...parseSort(searchParams, {
+      fields: [...Object.keys(SORT_FIELDS), ...(search ? ["relevance"] : [])],
+      dateFields: DATE_SORT_FIELDS,
+      defaultSort: search ? "relevance" : defaults.sort || "date",
+      defaultOrder: search ? "desc" : defaults.order,
+    }),
+    search,
+    filters: {
+      product: get("product")?.toLowerCase(),
+      batchNumber: get("batch_number")?.toLowerCase(),
+      dateFrom: get("date_from") && dateParam(get("date_from"), "date_from"),
+      dateTo: get("date_to") && dateParam(get("date_to"), "date_to"),
+      notExpired: isTruthy(get("not_expired")),
+    },
+  };
+}
+
+export function startOfToday() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+/**
+ * "expired", "expiring" (within `days` of its best-by date) or "valid".
+ * Null when the best-by date is missing or unparseable.
+ */
+export function expiryStatus(
+  bestByDate,
+  { days = EXPIRING_SOON_DAYS, today = startOfToday() } = {},
+) {
+  const bestBy = Date.parse(bestByDate);
+  if (!bestByDate || Number.isNaN(bestBy)) return null;
+  if (bestBy < today) return "expired";
+  if (bestBy <= today + days * DAY_MS) return "expiring";
+  return "valid";
+}
+
+export function filterCoas(coas, filters) {
+  const today = startOfToday();
+
+  return coas.filter((coa) => {
+    if (
+      filters.product &&
+      !coa.product?.toLowerCase().includes(filters.product)
+    ) {
+      return false;
+    }
+    if (
+      filters.batchNumber &&
+      !coa.batch_number?.toLowerCase().includes(filters.batchNumber)
+    ) {
+      return false;
+    }
+    if (filters.dateFrom || filters.dateTo) {
+      const date = Date.parse(coa.date);
+      if (Number.isNaN(date)) return false;
+      if (filters.dateFrom && date < filters.dateFrom) return false;
+      if (filters.dateTo && date > filters.dateTo) return false;
+    }
+    if (filters.notExpired && coa.best_by_date) {
+      // Records without a best-by date never expire
+      const bestBy = Date.parse(coa.best_by_date);
+      if (!Number.isNaN(bestBy) && bestBy < today) return false;
+    }
+    return true;
+  });
+}
+
+function sortValue(value, isDate) {
+  if (!value) return null;
+  if (!isDate) return value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/** Sorts a copy of `items` by `getValue(item)`; dates compare chronologically. */
+export function sortItems(items, { getValue, isDate, order }) {
+  const direction = order === "asc" ? 1 : -1;
+
+  return [...items].sort((a, b) => {
+    const x = sortValue(getValue(a), isDate);
+    const y = sortValue(getValue(b), isDate);
+    // Missing or unparseable values always sort last, whatever the order
+    if (x === null || y === null) return (x === null) - (y === null);
+    const result = isDate
+      ? x - y
+      : x.localeCompare(y, undefined, { numeric: true, sensitivity: "base" });
+    return result * direction;
+  });
+}
+
+export function sortCoas(coas, sort, order) {
+  const key = SORT_FIELDS[sort];
+  return sortItems(coas, {
+    getValue: (coa) => coa[key],
+    isDate: DATE_SORT_FIELDS.has(sort),
+    order,
+  });
+}
+
+function pageLink(basePath, searchParams, changes) {
+  const params = new URLSearchParams(searchParams);
+  PROXY_PARAMS.forEach((key) => params.delete(key));
+  params.delete("page");
+  params.delete("cursor");
+  Object.entries(changes).forEach(([key, value]) => params.set(key, value));
+  return `${basePath}?${params.toString()}`;
+}
+
+/**
+ * Slices an already filtered and sorted list into one page.
+ *
+ * `basePath` is the path next/prev links should point at (the storefront
+ * proxy path when the request came through the app proxy).
+ */
+export function paginate(list, paging, { basePath, searchParams }) {
+  const totalCount = list.length;
+  const totalPages = Math.max(1, Math.ceil(totalCount / paging.pageSize));
+  const useCursor = paging.offset !== undefined;
+  const offset = useCursor
+    ? paging.offset
+    : (paging.page - 1) * paging.pageSize;
+  const items = list.slice(offset, offset + paging.pageSize);
+
+  const hasNext = offset + paging.pageSize < totalCount;
+  const hasPrev = offset > 0;
+  const prevOffset = Math.max(0, offset - paging.pageSize);
+  const link = (targetOffset) =>
+    useCursor
+      ? pageLink(basePath, searchParams, { cursor: encodeCursor(targetOffset) })
+      : pageLink(basePath, searchParams, {
+          page: Math.floor(targetOffset / paging.pageSize) + 1,
+        });
+
+  return {
+    items,
+    page: Math.floor(offset / paging.pageSize) + 1,
+    pageSize: paging.pageSize,
+    totalCount,
+    totalPages,
+    nextCursor: hasNext ? encodeCursor(offset + paging.pageSize) : null,
+    prevCursor: hasPrev ? encodeCursor(prevOffset) : null,
+    links: {
+      next: hasNext ? link(offset + paging.pageSize) : null,
+      prev: hasPrev ? link(prevOffset) : null,
+    },
+  };
+}
+
+/** Searches, filters and sorts a COA list according to a parsed query. */
+export function queryCoas(coas, query) {
+  if (!query.search) {
+    return sortCoas(filterCoas(coas, query.filters), query.sort, query.order);
+  }
+
+  const ranked = filterCoas(
+    searchCoas(coas, query.search).map(({ coa }) => coa),
+    query.filters,
+  );
+  return query.sort === "relevance"
+    ? ranked
+    : sortCoas(ranked, query.sort, query.order);
+}
+
+/** Searches, filters, sorts and slices a COA list according to a parsed query. */
+export function paginateCoas(coas, query, linkOptions) {
+  const list = queryCoas(coas, query);
+  return {
+    ...paginate(list, query, linkOptions),
+    sort: query.sort,
+    order: query.order,
+  };
+}
@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import {
+  InvalidQueryError,
+  MAX_PAGE_SIZE,
+  MAX_SEARCH_LENGTH,
+  decodeCursor,
+  encodeCursor,
+  expiryStatus,
+  paginate,
+  parseCoaQuery,
+  parsePaging,
+} from "./coa-query.server.js";
+
+const params = (query) => new URLSearchParams(query);
+
+describe("parsePaging", () => {
+  it("defaults to the first page at the default size", () => {
+    expect(parsePaging(params(""), { defaultPageSize: 10 })).toEqual({
+      page: 1,
+      offset: undefined,
+      pageSize: 10,
+    });
+  });
+
+  it("caps the page size", () => {
+    expect(parsePaging(params("pageSize=1000")).pageSize).toBe(MAX_PAGE_SIZE);
+  });
+
+  it.each(["page=0", "page=-1", "page=1.5", "pageSize=abc"])(
+    "rejects %s",
+    (query) => {
+      expect(() => parsePaging(params(query))).toThrow(InvalidQueryError);
+    },
+  );
+
+  it("prefers a cursor over a page", () => {
+    const paging = parsePaging(params(`page=3&cursor=${encodeCursor(40)}`));
+    expect(paging).toMatchObject({ page: undefined, offset: 40 });
+  });
+
+  it("rejects a cursor it didn't issue", () => {
+    expect(() => decodeCursor("not-a-cursor")).toThrow(InvalidQueryError);
+  });
+});
+
+describe("parseCoaQuery", () => {
+  it("falls back to the shop's sort and order", () => {
+    const query = parseCoaQuery(params(""), {
+      pageSize: 5,
+      sort: "product",
+      order: "desc",
+    });
+    expect(query).toMatchObject({
+      pageSize: 5,
+      sort: "product",
+      order: "desc",
+    });
+  });
+
+  it("accepts the compact sort forms", () => {
+    expect(parseCoaQuery(params("sort=-product"))).toMatchObject({
+      sort: "product",
+      order: "desc",
+    });
+    expect(parseCoaQuery(params("sort=date:asc"))).toMatchObject({
+      sort: "date",
+      order: "asc",
+    });
+  });
+
+  it("ranks searches by relevance unless a sort is given", () => {
+    expect(parseCoaQuery(params("q=gummies"))).toMatchObject({
+      search: "gummies",
+      sort: "relevance",
+    });
+    expect(() => parseCoaQuery(params("sort=relevance"))).toThrow(
+      InvalidQueryError,
+    );
+  });
+
+  it.each([
+    ["sort=price", "sort must be one of"],
+    ["sort=date&order=sideways", "order must be asc or desc"],
+    ["date_from=someday", "date_from must be a date"],
+    [`q=${"x".repeat(MAX_SEARCH_LENGTH + 1)}`, "q must be at most"],
+  ])("rejects %s", (query, message) => {
+    expect(() => parseCoaQuery(params(query))).toThrow(message);
+  });
+
+  it("reads the filters", () => {
+    const query = parseCoaQuery(
+      params("product=Gummies&date_from=2025-01-01&not_expired=true"),
+    );
+    expect(query.filters).toMatchObject({
+      product: "gummies",
+      dateFrom: Date.UTC(2025, 0, 1),
+      notExpired: true,
+    });
+  });
+});
+
+describe("paginate", () => {
+  const list = Array.from({ length: 5 }, (_, index) => index);
+
+  it("links pages without the app proxy's parameters", () => {
+    const page = paginate(
+      list,
+      { page: 2, pageSize: 2 },
+      {
+        basePath: "/apps/coa/coas",
+        searchParams: params("page=2&shop=a.myshopify.com&signature=x&q=b"),
+      },
+    );
+
+    expect(page).toMatchObject({ items: [2, 3], totalPages: 3 });
+    expect(page.links).toEqual({
+      next: "/apps/coa/coas?q=b&page=3",
+      prev: "/apps/coa/coas?q=b&page=1",
+    });
+  });
+
+  it("links cursor pages with cursors", () => {
+    const page = paginate(
+      list,
+      { offset: 4, pageSize: 2 },
+      { basePath: "/coas", searchParams: params("") },
+    );
+
+    expect(page.items).toEqual([4]);
+    expect(page.links.next).toBeNull();
+    expect(page.links.prev).toBe(`/coas?cursor=${encodeCursor(2)}`);
+  });
+});
+
+describe("expiryStatus", () => {
+  const today = Date.UTC(2025, 5, 1);
+
+  it.each([
+    ["2025-05-31", "expired"],
+    ["2025-06-10", "expiring"],
+    ["2025-12-31", "valid"],
+    ["", null],
+    ["soon", null],
+  ])("%s is %s", (bestBy, status) => {
+    expect(expiryStatus(bestBy, { days: 30, today })).toBe(status);
+  });
+});
@@ -0,0 +1,141 @@
+// Ranked full-text search over COA lists (`?q=blue razz 0423`).
+//
+// An inverted index is built in process from the list being searched, so it
+// works the same whether records come from the mirror or the cache. Every
+// query term has to match some indexed term, exactly, as a prefix, as a
+// substring or within a small edit distance, and closer matches in the more
+// specific fields rank higher.
+
+const FIELD_WEIGHTS = {
+  product: 1,
+  batch_number: 1,
+  date: 0.5,
+  best_by_date: 0.5,
+};
+
+const MATCH_SCORES = { exact: 4, prefix: 3, substring: 2 };
+// Query terms shorter than this only match exactly or as a prefix
+const MIN_FUZZY_LENGTH = 4;
+const MIN_SUBSTRING_LENGTH = 3;
+// Bonus when the whole query appears verbatim in the product name
+const PHRASE_BONUS = 2;
+
+/**
+ * Lowercased terms of `text`. Mixed letter/digit runs ("BR0423") are indexed
+ * whole and split, and dates also as their compact form ("20230423").
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const terms = new Set();
+
+  String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .forEach((word) => {
+      terms.add(word);
+      word.match(/\p{L}+|\p{N}+/gu)?.forEach((part) => terms.add(part));
+    });
+
+  const date = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (date) terms.add(date.slice(1).join(""));
+  return [...terms];
+}
+
+// Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function matchScore(queryTerm, term) {
+  if (term === queryTerm) return MATCH_SCORES.exact;
+  if (term.startsWith(queryTerm)) return MATCH_SCORES.prefix;
+  if (queryTerm.length >= MIN_SUBSTRING_LENGTH && term.includes(queryTerm)) {
+    return MATCH_SCORES.substring;
+  }
+  if (queryTerm.length < MIN_FUZZY_LENGTH) return 0;
+
+  const maxDistance = queryTerm.length >= 8 ? 2 : 1;
+  const distance = editDistance(queryTerm, term, maxDistance);
+  return distance <= maxDistance ? 1 / distance : 0;
+}
+
+/** Maps each indexed term to the records (by position) and field weight. */
+export function buildSearchIndex(coas) {
+  const postings = new Map();
+
+  coas.forEach((coa, position) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(coa[field]).forEach((term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({ position, weight });
+      });
+    });
+  });
+
+  return { coas, postings };
+}
+
+/**
+ * Records matching every term of `query`, best first, as `{ coa, score }`.
+ * Ties keep the list's existing order.
+ */
+export function searchCoas(coas, query, index = buildSearchIndex(coas)) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length) return coas.map((coa) => ({ coa, score: 0 }));
+
+  let totals = null;
+  for (const queryTerm of queryTerms) {
+    // Best score this term reaches in each record
+    const best = new Map();
+    index.postings.forEach((entries, term) => {
+      const score = matchScore(queryTerm, term);
+      if (!score) return;
+      entries.forEach(({ position, weight }) => {
+        best.set(position, Math.max(best.get(position) || 0, score * weight));
+      });
+    });
+
+    if (totals) {
+      totals.forEach((score, position) => {
+        if (best.has(position)) {
+          totals.set(position, score + best.get(position));
+        } else {
+          totals.delete(position);
+        }
+      });
+    } else {
+      totals = best;
+    }
+    if (!totals.size) return [];
+  }
+
+  const phrase = query.trim().toLowerCase();
+  return [...totals]
+    .map(([position, score]) => {
+      const coa = index.coas[position];
+      const bonus = coa.product?.toLowerCase().includes(phrase)
+        ? PHRASE_BONUS
+        : 0;
+      return { coa, score: score + bonus, position };
+    })
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(({ coa, score }) => ({ coa, score }));
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { searchCoas, tokenize } from "./coa-search.server.js";
+
+const coas = [
+  { product: "Glue Stick", batch_number: "GS-0101" },
+  { product: "Blue Razz Gummies", batch_number: "BR0423", date: "2023-04-23" },
+  { product: "Razs Tincture", batch_number: "RT-77" },
+  { product: "Rozs Balm", batch_number: "RB-12" },
+  { product: "CBG Oil", batch_number: "CB-9" },
+];
+
+const products = (query) =>
+  searchCoas(coas, query).map(({ coa }) => coa.product);
+
+describe("tokenize", () => {
+  it("indexes letter/digit runs whole and split, and dates compactly", () => {
+    expect(tokenize("BR0423")).toEqual(["br0423", "br", "0423"]);
+    expect(tokenize("2023-04-23")).toContain("20230423");
+  });
+});
+
+describe("searchCoas", () => {
+  it("ranks an exact match above a fuzzy one", () => {
+    expect(products("blue")).toEqual(["Blue Razz Gummies", "Glue Stick"]);
+  });
+
+  it("tolerates one edit in short terms, but not two", () => {
+    expect(products("razz")).toEqual(["Blue Razz Gummies", "Razs Tincture"]);
+  });
+
+  it("tolerates two edits once a term is eight letters long", () => {
+    expect(products("tinktura")).toEqual(["Razs Tincture"]);
+  });
+
+  it("only matches terms under four letters exactly or as a prefix", () => {
+    expect(products("cbd")).toEqual([]);
+    expect(products("cb")).toEqual(["CBG Oil"]);
+  });
+
+  it("needs every term to match", () => {
+    expect(products("razz 0423")).toEqual(["Blue Razz Gummies"]);
+    expect(products("razz 9999")).toEqual([]);
+  });
+
+  it.each(["", "   ", "--"])(
+    "returns the list unranked for the empty query %j",
+    (query) => {
+      expect(searchCoas(coas, query)).toEqual(
+        coas.map((coa) => ({ coa, score: 0 })),
+      );
+    },
+  );
+});
@@ -0,0 +1,22 @@
+// Downloads from the app's own routes. Fetched rather than linked so App
+// Bridge can attach the session token; the file is saved under the name from
+// Content-Disposition (filename* first, for names that aren't ASCII), or
+// `fallbackName`.
+export async function downloadFile(path, fallbackName) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status})`);
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const href = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = href;
+  const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+  link.download =
+    (encodedName && decodeURIComponent(encodedName)) ||
+    disposition.match(/filename="([^"]+)"/)?.[1] ||
+    fallbackName;
+  link.click();
+  URL.revokeObjectURL(href);
+}
@@ -3,10 +3,20 @@ import { renderToPipeableStream } from "react-dom/server";
 import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
+import { logger } from "./logger.server";
 import { addDocumentResponseHeaders } from "./shopify.server";
 
 export const streamTimeout = 5000;
 
+// Errors thrown by loaders and actions, logged with the request's context
+export function handleError(error, { request }) {
+  if (request.signal.aborted) return;
+  logger.error("Unhandled error", {
+    path: new URL(request.url).pathname,
+    error,
+  });
+}
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -39,7 +49,7 @@ export default async function handleRequest(
         },
         onError(error) {
           responseStatusCode = 500;
-          console.error(error);
+          logger.error("Render failed", { error });
         },
       },
     );
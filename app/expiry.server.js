@@ -0,0 +1,281 @@
+import prisma from "./db.server.js";
+import { logger } from "./logger.server.js";
+import { expiryStatus, sortCoas, startOfToday } from "./coa-query.server.js";
+import { sendMail } from "./mail.server.js";
+import { appUrl } from "./shopify.server.js";
+import { toCoa } from "./metaobjects.server.js";
+import { getShopSettings } from "./settings.server.js";
+import { loadMetaobjects } from "./sync.server.js";
+
+// Expiry tracking: which certificates are past (or within the shop's
+// "expiring soon" window of) their best-by date, the embedded report listing
+// them, and the digest the cron route sends each shop by email and/or webhook.
+
+// A cron that fires twice in a day shouldn't send two digests
+const DIGEST_INTERVAL_HOURS = 20;
+const MAX_DIGEST_LINES = 50;
+// The cron hands each shop to its own request, this many at a time, so one
+// slow shop (or many shops) can't run the cron past its time limit
+const FAN_OUT_CONCURRENCY = 10;
+const SHOP_TIMEOUT_MS = 60 * 1000;
+// A merchant's endpoint gets this long, well inside the shop's own time limit
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/** Expired and expiring COAs, soonest best-by date first. */
+export function buildExpiryReport(coas, { days, today = startOfToday() }) {
+  const withStatus = sortCoas(
+    coas.map((coa) => ({
+      ...coa,
+      status: expiryStatus(coa.best_by_date, { days, today }),
+    })),
+    "best_by_date",
+    "asc",
+  );
+
+  return {
+    days,
+    generatedAt: new Date(today).toISOString().slice(0, 10),
+    expired: withStatus.filter((coa) => coa.status === "expired"),
+    expiring: withStatus.filter((coa) => coa.status === "expiring"),
+  };
+}
+
+/**
+ * The report for one shop, over every record of its COA type. `partial`
+ * reports on what's mirrored while the first sync runs (see loadMetaobjects).
+ */
+export async function loadExpiryReport(source, shop, { partial = false } = {}) {
+  const settings = await getShopSettings(shop);
+  const metaobjects = await loadMetaobjects(
+    source,
+    shop,
+    settings.metaobjectType,
+    { partial },
+  );
+
+  return {
+    settings,
+    report: buildExpiryReport(metaobjects.map(toCoa), {
+      days: settings.expiringSoonDays,
+    }),
+  };
+}
+
+function describe(coa) {
+  return `- ${coa.product || "Untitled"} (batch ${coa.batch_number || "n/a"}), best by ${coa.best_by_date}`;
+}
+
+function section(heading, coas) {
+  if (!coas.length) return [];
+  const lines = coas.slice(0, MAX_DIGEST_LINES).map(describe);
+  if (coas.length > MAX_DIGEST_LINES) {
+    lines.push(`- and ${coas.length - MAX_DIGEST_LINES} more`);
+  }
+  return [`${heading} (${coas.length}):`, ...lines, ""];
+}
+
+export function digestMessage(shop, report) {
+  return {
+    subject: `${shop}: ${report.expired.length} expired, ${report.expiring.length} expiring certificates of analysis`,
+    text: [
+      `Certificate of analysis expiry report for ${shop}, ${report.generatedAt}.`,
+      "",
+      ...section("Expired", report.expired),
+      ...section(`Expiring within ${report.days} days`, report.expiring),
+    ].join("\n"),
+  };
+}
+
+async function postWebhook(url, shop, report) {
+  const pick = (coa) => ({
+    id: coa.id,
+    product: coa.product,
+    batch_number: coa.batch_number,
+    best_by_date: coa.best_by_date,
+    status: coa.status,
+  });
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        shop,
+        generatedAt: report.generatedAt,
+        days: report.days,
+        expired: report.expired.map(pick),
+        expiring: report.expiring.map(pick),
+      }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err.name !== "TimeoutError") throw err;
+    throw new Error(
+      `Alert webhook didn't answer within ${WEBHOOK_TIMEOUT_MS / 1000}s`,
+    );
+  }
+  if (!response.ok) {
+    throw new Error(`Alert webhook returned ${response.status}`);
+  }
+}
+
+/**
+ * Sends the digest over every channel the shop configured and records it.
+ * A failing channel doesn't stop the others; failures are joined into `error`.
+ * `channels` lists only the ones that delivered: mail the log transport
+ * swallowed counts as a failure.
+ */
+export async function sendExpiryDigest(shop, report, settings) {
+  const channels = [];
+  const errors = [];
+
+  if (settings.alertEmail) {
+    try {
+      const { delivered } = await sendMail({
+        to: settings.alertEmail,
+        ...digestMessage(shop, report),
+      });
+      if (delivered) channels.push("email");
+      else errors.push("email: not sent, MAIL_TRANSPORT only logs messages");
+    } catch (err) {
+      errors.push(`email: ${err.message}`);
+    }
+  }
+  if (settings.alertWebhookUrl) {
+    try {
+      await postWebhook(settings.alertWebhookUrl, shop, report);
+      channels.push("webhook");
+    } catch (err) {
+      errors.push(`webhook: ${err.message}`);
+    }
+  }
+
+  return prisma.expiryDigest.create({
+    data: {
+      shop,
+      expiredCount: report.expired.length,
+      expiringCount: report.expiring.length,
+      channels,
+      error: errors.join("; ") || null,
+    },
+  });
+}
+
+export async function latestDigest(shop) {
+  return prisma.expiryDigest.findFirst({
+    where: { shop },
+    orderBy: { sentAt: "desc" },
+  });
+}
+
+/** Vercel Cron sends `Authorization: Bearer $CRON_SECRET`; so must others. */
+export function isAuthorizedCron(request) {
+  const secret = process.env.CRON_SECRET;
+  return (
+    Boolean(secret) &&
+    request.headers.get("Authorization") === `Bearer ${secret}`
+  );
+}
+
+/**
+ * The cron job for one shop: a digest if it has alerts configured and
+ * something to report, and no digest went out recently. A digest that
+ * reached no channel doesn't count, so the next run retries it.
+ */
+export async function runShopExpiryAlerts(shop) {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { shop, isOnline: false },
+    });
+    if (!session) return { shop, sent: false, reason: "not installed" };
+
+    const { settings, report } = await loadExpiryReport(session, shop);
+    const pending = report.expired.length + report.expiring.length;
+    const since = new Date(Date.now() - DIGEST_INTERVAL_HOURS * 3600 * 1000);
+    const recent = await prisma.expiryDigest.findFirst({
+      where: { shop, sentAt: { gte: since }, channels: { isEmpty: false } },
+    });
+
+    if (!pending || recent) return { shop, sent: false };
+    if (!settings.alertEmail && !settings.alertWebhookUrl) {
+      return { shop, sent: false, reason: "no alert channel" };
+    }
+    const digest = await sendExpiryDigest(shop, report, settings);
+    return {
+      shop,
+      sent: digest.channels.length > 0,
+      channels: digest.channels,
+      error: digest.error,
+    };
+  } catch (err) {
+    logger.error("Expiry alerts failed", { shop, error: err });
+    return { shop, sent: false, error: err.message };
+  }
+}
+
+/**
+ * The cron job: runShopExpiryAlerts for every installed shop, each in its own
+ * request to the cron route (`?shop=`) carrying the same `authorization`.
+ * Returns one summary per shop.
+ */
+export async function runExpiryAlerts(authorization) {
+  const sessions = await prisma.session.findMany({
+    where: { isOnline: false },
+    select: { shop: true },
+  });
+  const queue = [...new Set(sessions.map((session) => session.shop))];
+  const results = [];
+
+  const runShop = async (shop) => {
+    try {
+      const url = new URL("/cron/expiry", appUrl);
+      url.searchParams.set("shop", shop);
+      const response = await fetch(url, {
+        headers: { Authorization: authorization },
+        signal: AbortSignal.timeout(SHOP_TIMEOUT_MS),
+      });
+      if (!response.ok) throw new Error(`Returned ${response.status}`);
+      return await response.json();
+    } catch (err) {
+      logger.error("Expiry alerts request failed", { shop, error: err });
+      return { shop, sent: false, error: err.message };
+    }
+  };
+  const worker = async () => {
+    while (queue.length) results.push(await runShop(queue.shift()));
+  };
+  await Promise.all(
+    Array.from({ length: FAN_OUT_CONCURRENCY }, () => worker()),
+  );
+  return results;
+}
+
+/**
+ * Validates the alert settings form. Returns `{ settings }` on success and
+ * `{ errors }` keyed by field name otherwise.
+ */
+export function parseAlertForm(formData) {
+  const errors = {};
+
+  const expiringSoonDays = Number(formData.get("expiringSoonDays"));
+  if (
+    !Number.isInteger(expiringSoonDays) ||
+    expiringSoonDays < 1 ||
+    expiringSoonDays > 365
+  ) {
+    errors.expiringSoonDays = "Enter a whole number of days from 1 to 365";
+  }
+
+  const alertEmail = String(formData.get("alertEmail") || "").trim();
+  if (alertEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(alertEmail)) {
+    errors.alertEmail = "Enter an email address";
+  }
+
+  const alertWebhookUrl = String(formData.get("alertWebhookUrl") || "").trim();
+  if (alertWebhookUrl && !/^https:\/\/\S+$/.test(alertWebhookUrl)) {
+    errors.alertWebhookUrl = "Enter an https:// URL";
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { settings: { expiringSoonDays, alertEmail, alertWebhookUrl } };
+}
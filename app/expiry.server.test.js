@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const prisma = vi.hoisted(() => ({
+  expiryDigest: { create: vi.fn(({ data }) => data) },
+}));
+vi.mock("./db.server.js", () => ({ default: prisma }));
+vi.mock("./shopify.server.js", () => ({ appUrl: "https://app.example.com" }));
+
+const { sendExpiryDigest } = await import("./expiry.server.js");
+
+const report = {
+  days: 30,
+  generatedAt: "2025-06-01",
+  expired: [{ id: "1", product: "Gummies", best_by_date: "2025-05-01" }],
+  expiring: [],
+};
+
+describe("sendExpiryDigest", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("records a webhook that doesn't answer in time as an error", async () => {
+    const fetch = vi
+      .fn()
+      .mockRejectedValue(
+        new DOMException("The operation timed out", "TimeoutError"),
+      );
+    vi.stubGlobal("fetch", fetch);
+
+    const digest = await sendExpiryDigest("lab.myshopify.com", report, {
+      alertWebhookUrl: "https://hooks.example.com/coa",
+    });
+
+    expect(fetch).toHaveBeenCalledWith(
+      "https://hooks.example.com/coa",
+      expect.objectContaining({ signal: expect.any(AbortSignal) }),
+    );
+    expect(digest).toMatchObject({
+      channels: [],
+      error: "webhook: Alert webhook didn't answer within 10s",
+    });
+  });
+
+  it("records a delivered webhook as a channel", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(new Response(null)));
+
+    const digest = await sendExpiryDigest("lab.myshopify.com", report, {
+      alertWebhookUrl: "https://hooks.example.com/coa",
+    });
+    expect(digest).toMatchObject({ channels: ["webhook"], error: null });
+  });
+});
@@ -0,0 +1,92 @@
+import { adminGraphql } from "./admin-graphql.server.js";
+
+// File reference fields store a GID (gid://shopify/GenericFile/1) rather than
+// a URL. Metaobject reads ask for the referenced file alongside each field, and
+// the resolved details are kept per field key as `{ url, size, mimeType,
+// filename }` next to the raw values.
+
+// Spread into a `reference { ... }` selection
+export const FILE_REFERENCE_FIELDS = `
+  ... on GenericFile {
+    id
+    url
+    mimeType
+    originalFileSize
+  }
+  ... on MediaImage {
+    id
+    mimeType
+    image {
+      url
+    }
+    originalSource {
+      fileSize
+    }
+  }
+`;
+
+export function isFileGid(value) {
+  return /^gid:\/\/shopify\/(GenericFile|MediaImage)\//.test(value || "");
+}
+
+function filenameFromUrl(url) {
+  try {
+    const name = new URL(url).pathname.split("/").pop();
+    return name ? decodeURIComponent(name) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** File details from a GenericFile or MediaImage node; null for anything else. */
+export function toFileInfo(reference) {
+  const url = reference?.url ?? reference?.image?.url;
+  if (!url) return null;
+  return {
+    url,
+    size:
+      reference.originalFileSize ?? reference.originalSource?.fileSize ?? null,
+    mimeType: reference.mimeType ?? null,
+    filename: filenameFromUrl(url),
+  };
+}
+
+/** What a plain URL field can tell us about its file. */
+export function urlFileInfo(url) {
+  if (!/^https?:\/\//i.test(url || "")) return null;
+  const filename = filenameFromUrl(url);
+  return {
+    url,
+    size: null,
+    mimeType: filename?.toLowerCase().endsWith(".pdf")
+      ? "application/pdf"
+      : null,
+    filename,
+  };
+}
+
+const FILES_QUERY = `#graphql
+  query FileReferences($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ${FILE_REFERENCE_FIELDS}
+    }
+  }`;
+
+/**
+ * Resolves the file GIDs among `fields` (key -> raw value), for sources that
+ * only carry the GIDs, such as webhook payloads.
+ */
+export async function resolveFileFields(source, fields) {
+  const keys = Object.keys(fields).filter((key) => isFileGid(fields[key]));
+  if (!keys.length) return {};
+
+  const data = await adminGraphql(source, FILES_QUERY, {
+    ids: keys.map((key) => fields[key]),
+  });
+  const files = {};
+  keys.forEach((key, index) => {
+    const info = toFileInfo(data.nodes[index]);
+    if (info) files[key] = info;
+  });
+  return files;
+}
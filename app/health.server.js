@@ -0,0 +1,102 @@
+import prisma from "./db.server";
+import { adminGraphql } from "./admin-graphql.server.js";
+import { scopes, sessionStorage } from "./shopify.server";
+
+// Checks behind /health. The database must answer; with `shop`, the shop's
+// offline session must exist with the app's current scopes, and with `deep`
+// the Admin API must accept its token. Any failed check makes the response a
+// 503, so load balancers and uptime monitors can act on the status code alone.
+//
+// The endpoint is public, so anonymous callers get the database check and
+// nothing else: no per-shop checks (they call the Admin API and reveal which
+// shops are installed), no scopes and no error text. Those need
+// `Authorization: Bearer $HEALTH_SECRET`.
+
+async function timed(check) {
+  const start = performance.now();
+  try {
+    const details = await check();
+    return {
+      ok: true,
+      latencyMs: Math.round(performance.now() - start),
+      ...details,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      latencyMs: Math.round(performance.now() - start),
+      error: err.message,
+    };
+  }
+}
+
+async function checkDatabase() {
+  await prisma.$queryRaw`SELECT 1`;
+}
+
+async function checkSession(shop, deep) {
+  const session = await sessionStorage.loadSession(`offline_${shop}`);
+  if (!session?.accessToken) throw new Error("No offline session for shop");
+  if (scopes && !session.isActive(scopes)) {
+    throw new Error("Session is missing scopes; the shop must re-authorize");
+  }
+  if (deep) {
+    await adminGraphql(
+      session,
+      `#graphql
+      query HealthCheck {
+        shop {
+          id
+        }
+      }`,
+    );
+  }
+  return { scopes: session.scope };
+}
+
+/** Whether `request` carries `Authorization: Bearer $HEALTH_SECRET`. */
+export function isAuthorizedHealthCheck(request) {
+  const secret = process.env.HEALTH_SECRET;
+  return (
+    Boolean(secret) &&
+    request.headers.get("Authorization") === `Bearer ${secret}`
+  );
+}
+
+// What anonymous callers see of a check: whether it passed and how long it took
+const publicCheck = ({ ok, latencyMs }) => ({ ok, latencyMs });
+
+/**
+ * `{ httpStatus, body }` for /health; `shop` and `deep` are optional. Only
+ * `authorized` callers get details beyond pass or fail.
+ */
+export async function healthCheck({
+  shop,
+  deep = false,
+  authorized = false,
+} = {}) {
+  const checks = { database: await timed(checkDatabase) };
+  // Sessions live in the database, so there's nothing to check without it
+  if (shop && checks.database.ok) {
+    checks.session = await timed(() => checkSession(shop, deep));
+  }
+
+  const ok = Object.values(checks).every((check) => check.ok);
+  return {
+    httpStatus: ok ? 200 : 503,
+    body: {
+      status: ok ? "OK" : "ERROR",
+      shop: shop || null,
+      apiKeySet: Boolean(process.env.SHOPIFY_API_KEY),
+      environment: process.env.NODE_ENV || "development",
+      checks: authorized
+        ? checks
+        : Object.fromEntries(
+            Object.entries(checks).map(([name, check]) => [
+              name,
+              publicCheck(check),
+            ]),
+          ),
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// Structured logging: one JSON object per line, so the host's log search can
+// filter by field. Every line written while a request is being handled carries
+// that request's id and, once the request has authenticated, its shop.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+/** Runs `fn` with `fields` (e.g. `{ requestId }`) attached to its log lines. */
+export function withLogContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+/** Adds fields to the current request's log context, such as its shop. */
+export function setLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// Errors don't serialize on their own
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(typeof value.toJSON === "function" ? value.toJSON() : {}),
+    stack: value.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...getLogContext(),
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) entry[key] = serialize(value);
+  });
+
+  const line = JSON.stringify(entry);
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
@@ -0,0 +1,69 @@
+import { logger } from "./logger.server.js";
+
+// Pluggable outgoing mail. MAIL_TRANSPORT picks the transport:
+//
+//   log       (default) prints the message instead of sending it
+//   resend    Resend's HTTP API, with RESEND_API_KEY
+//   postmark  Postmark's HTTP API, with POSTMARK_SERVER_TOKEN
+//
+// Other transports can be added with registerMailTransport. Messages are sent
+// from MAIL_FROM. sendMail resolves to `{ delivered }`, which is false for the
+// log transport, so callers don't report a logged message as sent.
+
+async function postJson(url, headers, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Mail request failed (${response.status}): ${await response.text()}`,
+    );
+  }
+}
+
+const transports = {
+  async log(message) {
+    logger.info("Mail not sent (MAIL_TRANSPORT=log)", { mail: message });
+    return { delivered: false };
+  },
+
+  async resend({ from, to, subject, text }) {
+    await postJson(
+      "https://api.resend.com/emails",
+      { Authorization: `Bearer ${process.env.RESEND_API_KEY}` },
+      { from, to: [to], subject, text },
+    );
+  },
+
+  async postmark({ from, to, subject, text }) {
+    await postJson(
+      "https://api.postmarkapp.com/email",
+      { "X-Postmark-Server-Token": process.env.POSTMARK_SERVER_TOKEN },
+      { From: from, To: to, Subject: subject, TextBody: text },
+    );
+  },
+};
+
+/**
+ * Adds (or replaces) a transport: `send({ from, to, subject, text })`. It may
+ * resolve to `{ delivered: false }` when it didn't really send the message.
+ */
+export function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const name = process.env.MAIL_TRANSPORT || "log";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT ${name}`);
+
+  const result = await transport({
+    from: process.env.MAIL_FROM || "no-reply@example.com",
+    to,
+    subject,
+    text,
+  });
+  return { delivered: result?.delivered ?? true };
+}
@@ -0,0 +1,322 @@
+import prisma from "./db.server.js";
+import { AdminGraphqlError, adminGraphql } from "./admin-graphql.server.js";
+import { metrics } from "./metrics.server.js";
+import {
+  FILE_REFERENCE_FIELDS,
+  isFileGid,
+  toFileInfo,
+  urlFileInfo,
+} from "./files.server.js";
+import {
+  paginate,
+  parsePaging,
+  parseSort,
+  sortItems,
+} from "./coa-query.server.js";
+
+// Generic metaobject reads for any type a shop chooses to expose. COAs are
+// just the type every shop gets out of the box.
+
+export const COA_TYPE = "certificates_of_analysis";
+// COA field keys and the property each one is served as
+export const COA_COLUMNS = {
+  date: "date",
+  product_name: "product",
+  batch_number: "batch_number",
+  pdf_link: "pdf_link",
+  best_by_date: "best_by_date",
+};
+export const COA_FIELDS = Object.keys(COA_COLUMNS);
+// Records missing any of these never reach the storefront
+export const DEFAULT_REQUIRED_FIELDS = ["date", "product_name"];
+
+const DATE_FIELD_TYPES = new Set(["date", "date_time"]);
+
+export class MetaobjectTypeNotFoundError extends Error {
+  constructor(type) {
+    super(`Metaobject type ${type} is not available`);
+    this.name = "MetaobjectTypeNotFoundError";
+  }
+}
+
+const DEFINITION_QUERY = `#graphql
+  query MetaobjectDefinitionByType($type: String!) {
+    metaobjectDefinitionByType(type: $type) {
+      type
+      name
+      displayNameKey
+      fieldDefinitions {
+        key
+        name
+        required
+        type {
+          name
+        }
+      }
+    }
+  }`;
+
+/** Field layout of a metaobject type, or null when the shop has no such type. */
+export async function fetchMetaobjectDefinition(source, type) {
+  const data = await adminGraphql(source, DEFINITION_QUERY, { type });
+  const definition = data.metaobjectDefinitionByType;
+  if (!definition) return null;
+
+  return {
+    type: definition.type,
+    name: definition.name,
+    displayNameKey: definition.displayNameKey,
+    fields: definition.fieldDefinitions.map((field) => ({
+      key: field.key,
+      name: field.name,
+      required: field.required,
+      type: field.type.name,
+    })),
+  };
+}
+
+const METAOBJECTS_QUERY = `#graphql
+  query Metaobjects($type: String!, $after: String, $query: String) {
+    metaobjects(
+      type: $type
+      first: 50
+      after: $after
+      query: $query
+      sortKey: "updated_at"
+      reverse: true
+    ) {
+      nodes {
+        id
+        handle
+        displayName
+        updatedAt
+        fields {
+          key
+          value
+          reference {
+            ${FILE_REFERENCE_FIELDS}
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }`;
+
+/**
+ * Flattens a GraphQL Metaobject node: raw field values keyed by field key,
+ * plus `files` with the resolved details of any file reference fields.
+ */
+export function toMetaobject(node) {
+  const files = {};
+  node.fields.forEach((field) => {
+    const info = toFileInfo(field.reference);
+    if (info) files[field.key] = info;
+  });
+
+  return {
+    id: node.id,
+    handle: node.handle,
+    display_name: node.displayName,
+    updated_at: node.updatedAt,
+    fields: Object.fromEntries(
+      node.fields.map((field) => [field.key, field.value]),
+    ),
+    files,
+  };
+}
+
+/**
+ * Every metaobject of `type`, with field values keyed by field key. Pass
+ * `updatedSince` (a Date) to fetch only records changed since then. A page
+ * that still fails after the client's retries throws with `cursor` set to the
+ * page it was on, which can be passed back as `after` to resume.
+ */
+export async function fetchAllMetaobjects(
+  source,
+  type,
+  { updatedSince, after: startAfter = null } = {},
+) {
+  const all = [];
+  const query = updatedSince
+    ? `updated_at:>='${updatedSince.toISOString()}'`
+    : null;
+  let after = startAfter;
+
+  do {
+    let data;
+    try {
+      data = await adminGraphql(source, METAOBJECTS_QUERY, {
+        type,
+        after,
+        query,
+      });
+    } catch (err) {
+      if (err instanceof AdminGraphqlError) err.cursor = after;
+      throw err;
+    }
+    const connection = data.metaobjects;
+    metrics.metaobjectPages.inc({ shop: source?.shop, type });
+
+    connection?.nodes.forEach((node) => all.push(toMetaobject(node)));
+
+    after = connection?.pageInfo.hasNextPage
+      ? connection.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  return all;
+}
+
+/** The storefront COA shape (`product` rather than `product_name`). */
+export function toCoa(metaobject) {
+  const coa = { id: metaobject.id };
+  Object.entries(COA_COLUMNS).forEach(([key, column]) => {
+    coa[column] = metaobject.fields[key];
+  });
+
+  // pdf_link may be a URL field or a file reference; serve the URL either way
+  const raw = metaobject.fields.pdf_link;
+  coa.pdf = metaobject.files?.pdf_link ?? urlFileInfo(raw);
+  coa.pdf_link = coa.pdf?.url ?? (isFileGid(raw) ? null : raw);
+  return coa;
+}
+
+/** COAs from raw metaobjects, dropping records missing a required field. */
+export function toCoas(metaobjects, requiredFields = DEFAULT_REQUIRED_FIELDS) {
+  return metaobjects
+    .filter((metaobject) =>
+      requiredFields.every((key) => metaobject.fields[key]),
+    )
+    .map(toCoa);
+}
+
+/** Strips a COA down to the shop's visible columns (the id always stays). */
+export function pickCoaColumns(coa, visibleColumns = COA_FIELDS) {
+  const picked = { id: coa.id };
+  visibleColumns.forEach((key) => {
+    const column = COA_COLUMNS[key];
+    if (column) picked[column] = coa[column];
+  });
+  if (visibleColumns.includes("pdf_link")) picked.pdf = coa.pdf;
+  return picked;
+}
+
+export async function fetchAllCOAs(
+  source,
+  { type = COA_TYPE, requiredFields } = {},
+) {
+  const metaobjects = await fetchAllMetaobjects(source, type);
+  const coas = toCoas(metaobjects, requiredFields);
+
+  coas.sort((a, b) => new Date(b.date) - new Date(a.date));
+  return coas;
+}
+
+/**
+ * Which fields of `type` a shop exposes publicly. COAs are exposed with their
+ * historical fields unless the shop configured otherwise; other types must be
+ * opted in. An empty field list exposes every field of the definition.
+ */
+export async function getExposure(shop, type) {
+  const exposure = await prisma.metaobjectExposure.findUnique({
+    where: { shop_type: { shop, type } },
+  });
+  if (exposure) return { type, fields: exposure.fields };
+  if (type === COA_TYPE) return { type, fields: COA_FIELDS };
+  return null;
+}
+
+export async function listExposures(shop) {
+  return prisma.metaobjectExposure.findMany({
+    where: { shop },
+    orderBy: { type: "asc" },
+  });
+}
+
+export async function saveExposure(shop, type, fields) {
+  return prisma.metaobjectExposure.upsert({
+    where: { shop_type: { shop, type } },
+    create: { shop, type, fields },
+    update: { fields },
+  });
+}
+
+export async function deleteExposure(shop, type) {
+  await prisma.metaobjectExposure.deleteMany({ where: { shop, type } });
+}
+
+export function exposedFields(definition, exposure) {
+  if (!exposure.fields.length) return definition.fields;
+  return definition.fields.filter((field) =>
+    exposure.fields.includes(field.key),
+  );
+}
+
+/**
+ * Paging/sorting options for a generic metaobject list. Any exposed field can
+ * be sorted on, and `<field key>=<text>` narrows to values containing the text.
+ */
+export function parseMetaobjectQuery(searchParams, fields) {
+  const dateFields = new Set(
+    fields
+      .filter((field) => DATE_FIELD_TYPES.has(field.type))
+      .map((field) => field.key),
+  );
+  dateFields.add("updated_at");
+
+  const filters = {};
+  fields.forEach((field) => {
+    const value = searchParams.get(field.key);
+    if (value) filters[field.key] = value.toLowerCase();
+  });
+
+  return {
+    ...parsePaging(searchParams),
+    ...parseSort(searchParams, {
+      fields: ["updated_at", ...fields.map((field) => field.key)],
+      dateFields,
+      defaultSort: "updated_at",
+    }),
+    dateFields,
+    filters,
+  };
+}
+
+export function paginateMetaobjects(metaobjects, fields, query, linkOptions) {
+  const keys = fields.map((field) => field.key);
+  const filtered = metaobjects.filter((metaobject) =>
+    Object.entries(query.filters).every(([key, value]) =>
+      metaobject.fields[key]?.toLowerCase().includes(value),
+    ),
+  );
+  const sorted = sortItems(filtered, {
+    getValue: (metaobject) =>
+      query.sort === "updated_at"
+        ? metaobject.updated_at
+        : metaobject.fields[query.sort],
+    isDate: query.dateFields.has(query.sort),
+    order: query.order,
+  });
+  const page = paginate(sorted, query, linkOptions);
+
+  return {
+    ...page,
+    // Only exposed fields ever leave the server
+    items: page.items.map((metaobject) => ({
+      ...metaobject,
+      fields: Object.fromEntries(
+        keys.map((key) => [key, metaobject.fields[key] ?? null]),
+      ),
+      files: Object.fromEntries(
+        keys
+          .filter((key) => metaobject.files?.[key])
+          .map((key) => [key, metaobject.files[key]]),
+      ),
+    })),
+    sort: query.sort,
+    order: query.order,
+  };
+}
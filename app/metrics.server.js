@@ -0,0 +1,148 @@
+import { getLogContext } from "./logger.server.js";
+
+// In-process metrics, rendered in the Prometheus text format at /metrics.
+// Counts are per server instance since it started; Prometheus sums instances
+// and handles restarts. Most series are labelled by shop, taken from the
+// request's log context when the caller doesn't pass one.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function withShop(labels) {
+  return { ...labels, shop: labels.shop || getLogContext().shop || "none" };
+}
+
+function counter(name, help) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: "counter",
+    lines: () =>
+      [...series.values()].map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`,
+      ),
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const full = withShop(labels);
+      const key = labelKey(full);
+      const entry = series.get(key) || { labels: full, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+  };
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: "histogram",
+    lines: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (le, index) =>
+            `${name}_bucket${formatLabels({ ...labels, le })} ${counts[index]}`,
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+  });
+
+  return {
+    observe(labels, value) {
+      const full = withShop(labels);
+      const key = labelKey(full);
+      const entry = series.get(key) || {
+        labels: full,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((le, index) => {
+        if (value <= le) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+  };
+}
+
+export const metrics = {
+  httpRequests: counter(
+    "coa_http_requests_total",
+    "HTTP requests handled, by route and status",
+  ),
+  httpDuration: histogram(
+    "coa_http_request_duration_seconds",
+    "HTTP request latency",
+  ),
+  graphqlRequests: counter(
+    "coa_shopify_graphql_requests_total",
+    "Admin API GraphQL calls, by outcome (ok, throttled, error)",
+  ),
+  graphqlCost: counter(
+    "coa_shopify_graphql_cost_total",
+    "Admin API query cost actually charged",
+  ),
+  graphqlDuration: histogram(
+    "coa_shopify_graphql_duration_seconds",
+    "Admin API GraphQL call latency, retries included",
+  ),
+  metaobjectPages: counter(
+    "coa_metaobject_pages_fetched_total",
+    "Pages of metaobjects read from the Admin API",
+  ),
+  cacheLookups: counter(
+    "coa_cache_lookups_total",
+    "Cache lookups, by result (hit, stale, miss, error)",
+  ),
+};
+
+/** Every metric in the Prometheus text exposition format. */
+export function renderMetrics() {
+  return `${registry
+    .flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines(),
+    ])
+    .join("\n")}\n`;
+}
+
+/**
+ * Scrapers send `Authorization: Bearer $METRICS_TOKEN`. Without a token the
+ * endpoint is only open outside production, since the series name shops.
+ */
+export function isAuthorizedScrape(request) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return process.env.NODE_ENV !== "production";
+  return request.headers.get("Authorization") === `Bearer ${token}`;
+}
+
+/** Seconds elapsed since `start`, a `performance.now()` reading. */
+export function elapsedSeconds(start) {
+  return (performance.now() - start) / 1000;
+}
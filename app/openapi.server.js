@@ -0,0 +1,333 @@
+import { API_VERSION, PARAMETERS } from "./api-v1.server.js";
+import { PROXY_PATH } from "./batch-links.server.js";
+
+// The OpenAPI 3.1 description of the v1 API, served at /api/v1/openapi.json.
+// Query parameters come from the definitions api-v1 validates against, so the
+// document can't drift from what the endpoints accept.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type, extra = {}) => ({ type: [type, "null"], ...extra });
+
+const SCHEMAS = {
+  Coa: {
+    type: "object",
+    required: [
+      "id",
+      "product_name",
+      "batch_number",
+      "test_date",
+      "best_by_date",
+      "status",
+      "pdf",
+    ],
+    properties: {
+      id: {
+        type: "string",
+        pattern: "^\\d+$",
+        description: "Numeric metaobject ID, as used by GET /coas/{id}.",
+      },
+      product_name: nullable("string"),
+      batch_number: nullable("string"),
+      test_date: nullable("string", {
+        description: "Usually YYYY-MM-DD; older records may hold free text.",
+      }),
+      best_by_date: nullable("string", {
+        description: "Usually YYYY-MM-DD; older records may hold free text.",
+      }),
+      status: {
+        enum: ["valid", "expiring", "expired", null],
+        description:
+          "From the best-by date and the shop's expiring-soon window; null without a readable best-by date.",
+      },
+      pdf: { oneOf: [ref("Pdf"), { type: "null" }] },
+    },
+    description:
+      "Properties are never omitted. Columns the shop hides are null, as are fields the record leaves empty.",
+  },
+  Pdf: {
+    type: "object",
+    required: ["url", "filename", "mime_type", "size"],
+    properties: {
+      url: { type: "string", format: "uri" },
+      filename: nullable("string"),
+      mime_type: nullable("string"),
+      size: nullable("integer", {
+        description: "Bytes, when Shopify hosts the file.",
+      }),
+    },
+  },
+  ProductCoa: {
+    allOf: [
+      ref("Coa"),
+      {
+        type: "object",
+        required: ["latest"],
+        properties: {
+          latest: {
+            type: "boolean",
+            description: "The product's most recent dated certificate.",
+          },
+        },
+      },
+    ],
+  },
+  Product: {
+    type: "object",
+    required: ["id", "handle", "title"],
+    properties: {
+      id: { type: "string", description: "Product GID." },
+      handle: { type: "string" },
+      title: { type: "string" },
+    },
+  },
+  PageMeta: {
+    type: "object",
+    required: [
+      "page",
+      "page_size",
+      "total_count",
+      "total_pages",
+      "sort",
+      "order",
+      "next_cursor",
+      "prev_cursor",
+    ],
+    properties: {
+      page: { type: "integer" },
+      page_size: { type: "integer" },
+      total_count: { type: "integer" },
+      total_pages: { type: "integer" },
+      sort: { type: "string" },
+      order: { enum: ["asc", "desc"] },
+      next_cursor: nullable("string"),
+      prev_cursor: nullable("string"),
+    },
+  },
+  CursorMeta: {
+    type: "object",
+    required: ["page_size", "has_next_page", "next_cursor"],
+    properties: {
+      page_size: { type: "integer" },
+      has_next_page: { type: "boolean" },
+      next_cursor: nullable("string", {
+        description: "Pass as `after` for the next page.",
+      }),
+    },
+  },
+  PageLinks: {
+    type: "object",
+    required: ["next", "prev"],
+    properties: {
+      next: nullable("string", { description: "Storefront-relative URL." }),
+      prev: nullable("string", { description: "Storefront-relative URL." }),
+    },
+  },
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: {
+        type: "object",
+        required: ["code", "message", "details", "request_id"],
+        properties: {
+          code: {
+            type: "string",
+            enum: [
+              "invalid_parameter",
+              "invalid_signature",
+              "shop_not_installed",
+              "not_found",
+              "method_not_allowed",
+              "throttled",
+              "sync_pending",
+              "upstream_error",
+              "internal_error",
+            ],
+            description:
+              "Stable; branch on this rather than on the message. New codes may be added.",
+          },
+          message: { type: "string" },
+          details: {
+            description:
+              "For invalid_parameter, one `{ parameter, message }` per bad parameter.",
+          },
+          request_id: nullable("string", {
+            description: "Quote this when reporting a problem.",
+          }),
+        },
+      },
+    },
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const RESPONSES = {
+  BadRequest: errorResponse("A parameter is missing, unknown or invalid."),
+  Unauthorized: errorResponse(
+    "The request didn't come through the shop's app proxy, or the shop uninstalled the app.",
+  ),
+  NotFound: errorResponse("Nothing matches the request."),
+  Unavailable: errorResponse(
+    "Shopify throttled or failed the request (503 and 502), or the app is still loading the shop's certificates (503 with Retry-After); retry later.",
+  ),
+};
+
+const ERROR_RESPONSES = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: { $ref: "#/components/responses/Unauthorized" },
+  502: { $ref: "#/components/responses/Unavailable" },
+  503: { $ref: "#/components/responses/Unavailable" },
+};
+
+const queryParameters = (parameters) =>
+  parameters.map((param) => ({
+    ...param,
+    in: "query",
+    required: Boolean(param.required),
+  }));
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const paths = (appUrl) => ({
+  "/coas": {
+    get: {
+      operationId: "listCoas",
+      summary: "List certificates",
+      description:
+        "Certificates the shop shows on its storefront, searched, filtered, sorted and paged.",
+      parameters: queryParameters(PARAMETERS.listCoas),
+      responses: {
+        200: jsonResponse("One page of certificates.", {
+          type: "object",
+          required: ["data", "meta", "links"],
+          properties: {
+            data: { type: "array", items: ref("Coa") },
+            meta: ref("PageMeta"),
+            links: ref("PageLinks"),
+          },
+        }),
+        ...ERROR_RESPONSES,
+      },
+    },
+  },
+  "/coas/product": {
+    get: {
+      operationId: "listProductCoas",
+      summary: "List a product's certificates",
+      description:
+        "Looks the product up by handle, ID or SKU and returns its certificates, newest first.",
+      parameters: queryParameters(PARAMETERS.listProductCoas),
+      responses: {
+        200: jsonResponse("The product and its certificates.", {
+          type: "object",
+          required: ["data"],
+          properties: {
+            data: {
+              type: "object",
+              required: ["product", "coas"],
+              properties: {
+                product: ref("Product"),
+                coas: { type: "array", items: ref("ProductCoa") },
+              },
+            },
+          },
+        }),
+        ...ERROR_RESPONSES,
+        404: { $ref: "#/components/responses/NotFound" },
+      },
+    },
+  },
+  "/coas/{id}": {
+    get: {
+      operationId: "getCoa",
+      summary: "Get one certificate",
+      parameters: [
+        {
+          name: "id",
+          in: "path",
+          required: true,
+          schema: { type: "string", pattern: "^\\d+$" },
+        },
+      ],
+      responses: {
+        200: jsonResponse("The certificate.", {
+          type: "object",
+          required: ["data"],
+          properties: { data: ref("Coa") },
+        }),
+        ...ERROR_RESPONSES,
+        404: { $ref: "#/components/responses/NotFound" },
+      },
+    },
+  },
+  "/headless/coas": {
+    // Headless storefronts have no app proxy; they call the app directly
+    servers: [{ url: `${appUrl}/api/${API_VERSION}` }],
+    get: {
+      operationId: "listHeadlessCoas",
+      summary: "List certificates for a headless storefront",
+      description: [
+        "Needs headless mode, turned on in the app's settings.",
+        "Reads through the Storefront API with the shop's Storefront token, most recently updated first.",
+        "Records missing a required field are left out, so a page can hold fewer than `first`.",
+        `Headless storefronts can also query the Storefront API themselves with the client at ${appUrl}/storefront-client.js.`,
+      ].join(" "),
+      parameters: queryParameters(PARAMETERS.listHeadlessCoas),
+      responses: {
+        200: jsonResponse("One page of certificates.", {
+          type: "object",
+          required: ["data", "meta"],
+          properties: {
+            data: { type: "array", items: ref("Coa") },
+            meta: ref("CursorMeta"),
+          },
+        }),
+        400: { $ref: "#/components/responses/BadRequest" },
+        404: errorResponse("Headless mode isn't turned on for the shop."),
+        502: { $ref: "#/components/responses/Unavailable" },
+      },
+    },
+  },
+});
+
+/** The OpenAPI document for the v1 API; `appUrl` is where this app runs. */
+export function openApiDocument({ appUrl }) {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Certificates of Analysis API",
+      version: API_VERSION,
+      description: [
+        "Read-only access to a shop's certificates of analysis.",
+        "",
+        `Requests go to the shop's storefront domain under ${PROXY_PATH}/api/${API_VERSION}.`,
+        "Shopify's app proxy signs each one, so there are no API keys.",
+        "The headless endpoint is the exception and lists its own server.",
+        "Browsers on the shop's own domains may call it cross-origin.",
+        "",
+        `Within ${API_VERSION}, responses only ever gain optional properties and error codes.`,
+        "Breaking changes ship as a new version alongside this one.",
+      ].join("\n"),
+    },
+    servers: [
+      {
+        url: `https://{shop}${PROXY_PATH}/api/${API_VERSION}`,
+        variables: {
+          shop: {
+            default: "your-store.myshopify.com",
+            description: "The shop's myshopify or custom domain.",
+          },
+        },
+      },
+    ],
+    paths: paths(appUrl),
+    components: { schemas: SCHEMAS, responses: RESPONSES },
+  };
+}
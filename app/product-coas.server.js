@@ -0,0 +1,128 @@
+import { adminGraphql } from "./admin-graphql.server.js";
+import { InvalidQueryError } from "./coa-query.server.js";
+
+// Finds the certificates for one product, for "View lab results" widgets on
+// product pages. The product is looked up by handle, ID or variant SKU; COAs
+// are then matched through a product reference field on the metaobject when
+// the shop configured one, or by comparing `product_name` to the product title.
+
+// How `product_name` is compared to the product title
+export const PRODUCT_MATCH_RULES = {
+  exact: "Same name (ignoring case and punctuation)",
+  contains: "Either name contains the other",
+  handle: "Name matches the product handle",
+};
+
+export class ProductNotFoundError extends Error {
+  constructor(lookup) {
+    super(`No product with ${lookup.kind} ${lookup.value}`);
+    this.name = "ProductNotFoundError";
+  }
+}
+
+/** Reads exactly one of `handle`, `id` (numeric or GID) or `sku`. */
+export function parseProductLookup(searchParams) {
+  const lookups = ["handle", "id", "sku"]
+    .map((kind) => ({ kind, value: searchParams.get(kind)?.trim() }))
+    .filter((lookup) => lookup.value);
+  if (lookups.length !== 1) {
+    throw new InvalidQueryError("Pass exactly one of handle, id or sku");
+  }
+
+  const [lookup] = lookups;
+  if (lookup.kind === "id") {
+    if (/^\d+$/.test(lookup.value)) {
+      return { kind: "id", value: `gid://shopify/Product/${lookup.value}` };
+    }
+    if (!lookup.value.startsWith("gid://shopify/Product/")) {
+      throw new InvalidQueryError("id must be a product ID");
+    }
+  }
+  return lookup;
+}
+
+const PRODUCT_FIELDS = `
+  id
+  handle
+  title
+`;
+
+const PRODUCT_QUERIES = {
+  handle: `#graphql
+    query ProductByHandle($value: String!) {
+      product: productByIdentifier(identifier: { handle: $value }) {
+        ${PRODUCT_FIELDS}
+      }
+    }`,
+  id: `#graphql
+    query ProductById($value: ID!) {
+      product(id: $value) {
+        ${PRODUCT_FIELDS}
+      }
+    }`,
+  sku: `#graphql
+    query ProductBySku($query: String!) {
+      productVariants(first: 1, query: $query) {
+        nodes {
+          product {
+            ${PRODUCT_FIELDS}
+          }
+        }
+      }
+    }`,
+};
+
+/** `{ id, handle, title }` of the looked-up product, or null. */
+export async function resolveProduct(source, lookup) {
+  if (lookup.kind === "sku") {
+    const data = await adminGraphql(source, PRODUCT_QUERIES.sku, {
+      query: `sku:${JSON.stringify(lookup.value)}`,
+    });
+    return data.productVariants.nodes[0]?.product ?? null;
+  }
+
+  const data = await adminGraphql(source, PRODUCT_QUERIES[lookup.kind], {
+    value: lookup.value,
+  });
+  return data.product ?? null;
+}
+
+function normalizeName(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Reference fields hold a GID, list references a JSON array of GIDs
+function referencesProduct(value, productId) {
+  if (!value) return false;
+  if (value === productId) return true;
+  try {
+    const ids = JSON.parse(value);
+    return Array.isArray(ids) && ids.includes(productId);
+  } catch {
+    return false;
+  }
+}
+
+function nameMatches(productName, product, rule) {
+  const name = normalizeName(productName);
+  if (!name) return false;
+  if (rule === "handle") return name.replaceAll(" ", "-") === product.handle;
+
+  const title = normalizeName(product.title);
+  if (rule === "contains") return name.includes(title) || title.includes(name);
+  return name === title;
+}
+
+/** The raw metaobjects that belong to `product` under the shop's settings. */
+export function matchProductMetaobjects(metaobjects, product, settings) {
+  const { productReferenceField: field, productMatch } = settings;
+
+  return metaobjects.filter((metaobject) =>
+    field
+      ? referencesProduct(metaobject.fields[field], product.id)
+      : nameMatches(metaobject.fields.product_name, product, productMatch),
+  );
+}
@@ -0,0 +1,63 @@
+import { randomUUID } from "node:crypto";
+import { logger, getLogContext, withLogContext } from "./logger.server.js";
+import { elapsedSeconds, metrics } from "./metrics.server.js";
+
+// Root middleware for every request: assigns a request id (or keeps the one a
+// proxy sent), runs the request inside that log context, and logs and counts
+// it when it finishes.
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// /coas/batch/B-1 -> /coas/batch/:batchNumber, so each route is one series
+function routeLabel(pathname, params, status) {
+  if (status === 404 && !Object.keys(params).length) return "unmatched";
+  const path = pathname.replace(/\.data$/, "");
+  return Object.entries(params).reduce(
+    (label, [name, value]) =>
+      value ? label.replace(value, name === "*" ? "*" : `:${name}`) : label,
+    path || "/",
+  );
+}
+
+export async function requestContextMiddleware({ request, params }, next) {
+  const requestId = request.headers.get(REQUEST_ID_HEADER) || randomUUID();
+  const url = new URL(request.url);
+
+  return withLogContext({ requestId }, async () => {
+    const start = performance.now();
+    let status = 500;
+    try {
+      const response = await next();
+      status = response.status;
+      try {
+        response.headers.set(REQUEST_ID_HEADER, requestId);
+      } catch {
+        // Response.redirect() and fetched responses have immutable headers
+      }
+      return response;
+    } finally {
+      const duration = elapsedSeconds(start);
+      const route = routeLabel(url.pathname, params, status);
+      metrics.httpRequests.inc({
+        method: request.method,
+        route,
+        status: String(status),
+      });
+      metrics.httpDuration.observe({ method: request.method, route }, duration);
+
+      const fields = {
+        method: request.method,
+        path: url.pathname,
+        status,
+        durationMs: Math.round(duration * 1000),
+      };
+      if (status >= 500) logger.error("Request failed", fields);
+      else logger.info("Request handled", fields);
+    }
+  });
+}
+
+/** The current request's id, for error responses and support. */
+export function currentRequestId() {
+  return getLogContext().requestId;
+}
@@ -1,4 +1,7 @@
 import { Links, Meta, Outlet, Scripts, ScrollRestoration } from "react-router";
+import { requestContextMiddleware } from "./request-context.server";
+
+export const middleware = [requestContextMiddleware];
 
 export default function App() {
   return (
@@ -0,0 +1,5 @@
+import { appProxyJson, listCoas } from "../app-proxy.server";
+
+// Same listing as /coas, kept for scripts and tests that call it directly.
+// New integrations should use the versioned /api/v1/coas instead.
+export const loader = async ({ request }) => appProxyJson(request, listCoas);
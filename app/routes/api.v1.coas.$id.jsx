@@ -0,0 +1,8 @@
+import { apiJson, getCoa } from "../api-v1.server";
+
+// GET /apps/coa/api/v1/coas/<numeric id>
+export const loader = async ({ request, params }) =>
+  apiJson(request, (context) => getCoa(context, params.id));
+
+export const action = async ({ request, params }) =>
+  apiJson(request, (context) => getCoa(context, params.id));
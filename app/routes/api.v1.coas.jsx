@@ -0,0 +1,6 @@
+import { apiJson, listCoas } from "../api-v1.server";
+
+// GET /apps/coa/api/v1/coas through the app proxy
+export const loader = async ({ request }) => apiJson(request, listCoas);
+
+export const action = async ({ request }) => apiJson(request, listCoas);
@@ -0,0 +1,6 @@
+import { apiJson, listProductCoas } from "../api-v1.server";
+
+// GET /apps/coa/api/v1/coas/product?handle=<handle> (or ?id=, ?sku=)
+export const loader = async ({ request }) => apiJson(request, listProductCoas);
+
+export const action = async ({ request }) => apiJson(request, listProductCoas);
@@ -0,0 +1,9 @@
+import { headlessJson, listHeadlessCoas } from "../api-v1.server";
+
+// GET /api/v1/headless/coas?shop=<shop>.myshopify.com on the app's domain.
+// Reads with the shop's Storefront API token; the Admin token isn't loaded.
+export const loader = async ({ request }) =>
+  headlessJson(request, listHeadlessCoas);
+
+export const action = async ({ request }) =>
+  headlessJson(request, listHeadlessCoas);
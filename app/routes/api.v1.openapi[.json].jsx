@@ -0,0 +1,12 @@
+import { openApiDocument } from "../openapi.server";
+import { appUrl } from "../shopify.server";
+
+// The v1 API description. Public, so tooling can fetch it without going
+// through a shop's app proxy.
+export const loader = async () =>
+  Response.json(openApiDocument({ appUrl }), {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600",
+    },
+  });
@@ -1,238 +1,334 @@
-import { useEffect } from "react";
-import { useFetcher } from "react-router";
+import { useEffect, useState } from "react";
+import {
+  Form,
+  useFetcher,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import { invalidateShop } from "../cache.server";
+import { getShopSettings } from "../settings.server";
+import { syncMetaobjects } from "../sync.server";
+import {
+  filterAdminRecords,
+  loadAdminRecords,
+  parseAdminFilters,
+  parseAdminQuery,
+} from "../coa-admin.server";
+import { paginateCoas } from "../coa-query.server";
+import { downloadFile } from "../download";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-
-  return null;
-};
-
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const { settings, records, sync } = await loadAdminRecords(
+    admin,
+    session.shop,
   );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyReactRouterTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
+  const { search, status } = parseAdminFilters(url.searchParams);
+  const filtered = filterAdminRecords(records, { search, status });
+
+  const page = paginateCoas(
+    filtered,
+    parseAdminQuery(url.searchParams, settings),
     {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
+      basePath: url.pathname,
+      searchParams: url.searchParams,
     },
   );
-  const variantResponseJson = await variantResponse.json();
 
   return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
+    type: settings.metaobjectType,
+    sync: sync && {
+      status: sync.status,
+      error: sync.error,
+      lastSyncedAt: sync.lastSyncedAt?.toISOString() ?? null,
+    },
+    page,
+    search,
+    status,
+    counts: {
+      total: records.length,
+      expired: records.filter((record) => record.status === "expired").length,
+      expiring: records.filter((record) => record.status === "expiring").length,
+      missing: records.filter((record) => record.missing.length).length,
+    },
   };
 };
 
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { metaobjectType } = await getShopSettings(session.shop);
+
+  try {
+    const sync = await syncMetaobjects(admin, session.shop, metaobjectType, {
+      full: true,
+    });
+    // Large types finish in the background through a bulk operation
+    return sync.status === "running" ? { pending: true } : { refreshed: true };
+  } catch (err) {
+    return { error: `Resync failed: ${err.message}` };
+  } finally {
+    await invalidateShop(session.shop);
+  }
+};
+
+const COLUMNS = [
+  { key: "product", label: "Product" },
+  { key: "batch_number", label: "Batch number" },
+  { key: "date", label: "Test date" },
+  { key: "best_by_date", label: "Best by" },
+];
+
+const STATUS_BADGES = {
+  expired: { tone: "critical", label: "Expired" },
+  expiring: { tone: "warning", label: "Expiring soon" },
+  valid: { tone: "success", label: "Valid" },
+};
+
 export default function Index() {
+  const { type, sync, page, search, status, counts } = useLoaderData();
+  const [searchParams] = useSearchParams();
+  const navigation = useNavigation();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
+  const isRefreshing = fetcher.state !== "idle";
 
   useEffect(() => {
-    if (fetcher.data?.product?.id) {
-      shopify.toast.show("Product created");
+    if (fetcher.data?.refreshed) {
+      shopify.toast.show("Certificates resynced from Shopify");
+    } else if (fetcher.data?.pending) {
+      shopify.toast.show("Resync is running in the background");
+    } else if (fetcher.data?.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
     }
-  }, [fetcher.data?.product?.id, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+  }, [fetcher.data, shopify]);
+
+  const [downloading, setDownloading] = useState(null);
+
+  const download = async (key, path, fallbackName) => {
+    setDownloading(key);
+    try {
+      await downloadFile(path, fallbackName);
+    } catch (err) {
+      shopify.toast.show(err.message, { isError: true });
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const exportCoas = (format) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("page");
+    params.delete("cursor");
+    params.set("format", format);
+    return download(format, `/app/export?${params}`, `coas.${format}`);
+  };
+
+  const downloadQr = (coa, format) => {
+    const params = new URLSearchParams({ batch: coa.batch_number, format });
+    return download(
+      `qr:${coa.id}:${format}`,
+      `/app/qr?${params}`,
+      `coa-qr.${format}`,
+    );
+  };
+
+  const sortHref = (key) => {
+    const params = new URLSearchParams(searchParams);
+    const order = page.sort === key && page.order === "asc" ? "desc" : "asc";
+    params.set("sort", key);
+    params.set("order", order);
+    params.delete("page");
+    return `?${params.toString()}`;
+  };
+  const sortIndicator = (key) =>
+    page.sort === key ? (page.order === "asc" ? " ↑" : " ↓") : "";
 
   return (
-    <s-page heading="Shopify app template">
-      <s-button slot="primary-action" onClick={generateProduct}>
-        Generate a product
+    <s-page heading="Certificates of analysis">
+      <s-button slot="primary-action" href="/app/coas/new">
+        Add certificate
+      </s-button>
+      <s-button
+        slot="secondary-actions"
+        onClick={() => fetcher.submit({}, { method: "POST" })}
+        {...(isRefreshing ? { loading: true } : {})}
+      >
+        Resync from Shopify
+      </s-button>
+      <s-button
+        slot="secondary-actions"
+        onClick={() => exportCoas("csv")}
+        {...(downloading === "csv" ? { loading: true } : {})}
+      >
+        Export CSV
+      </s-button>
+      <s-button
+        slot="secondary-actions"
+        onClick={() => exportCoas("ndjson")}
+        {...(downloading === "ndjson" ? { loading: true } : {})}
+      >
+        Export JSON Lines
       </s-button>
 
-      <s-section heading="Congrats on creating a new Shopify app 🎉">
-        <s-paragraph>
-          This embedded app template uses{" "}
-          <s-link
-            href="https://shopify.dev/docs/apps/tools/app-bridge"
-            target="_blank"
-          >
-            App Bridge
-          </s-link>{" "}
-          interface examples like an{" "}
-          <s-link href="/app/additional">additional page in the app nav</s-link>
-          , as well as an{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            Admin GraphQL
-          </s-link>{" "}
-          mutation demo, to provide a starting point for app development.
-        </s-paragraph>
+      <s-section>
+        <s-stack direction="inline" gap="base">
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{counts.total}</s-heading>
+            <s-text>Certificates</s-text>
+          </s-box>
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{counts.expired}</s-heading>
+            <s-text>Expired</s-text>
+          </s-box>
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{counts.expiring}</s-heading>
+            <s-text>Expiring soon</s-text>
+          </s-box>
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{counts.missing}</s-heading>
+            <s-text>Missing required fields</s-text>
+          </s-box>
+        </s-stack>
       </s-section>
-      <s-section heading="Get started with products">
-        <s-paragraph>
-          Generate a product with GraphQL and get the JSON output for that
-          product. Learn more about the{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-            target="_blank"
+
+      <s-section>
+        <Form method="get">
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-search-field
+              label="Search"
+              name="q"
+              placeholder="Product or batch number"
+              value={search}
+            />
+            <s-select label="Show" name="status" value={status}>
+              <s-option value="all">All certificates</s-option>
+              <s-option value="expired">Expired</s-option>
+              <s-option value="expiring">Expiring soon</s-option>
+              <s-option value="valid">Valid</s-option>
+              <s-option value="missing">Missing required fields</s-option>
+            </s-select>
+            <s-button type="submit">Filter</s-button>
+          </s-stack>
+        </Form>
+
+        <s-table loading={navigation.state === "loading"}>
+          <s-table-header-row>
+            {COLUMNS.map((column) => (
+              <s-table-header key={column.key}>
+                <s-link href={sortHref(column.key)}>
+                  {column.label}
+                  {sortIndicator(column.key)}
+                </s-link>
+              </s-table-header>
+            ))}
+            <s-table-header>Status</s-table-header>
+            <s-table-header>PDF</s-table-header>
+            <s-table-header>QR code</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {page.items.map((coa) => (
+              <s-table-row key={coa.id}>
+                <s-table-cell>
+                  <s-link href={`/app/coas/${coa.id.split("/").pop()}`}>
+                    {coa.product || "Untitled"}
+                  </s-link>
+                </s-table-cell>
+                <s-table-cell>{coa.batch_number || "—"}</s-table-cell>
+                <s-table-cell>{coa.date || "—"}</s-table-cell>
+                <s-table-cell>{coa.best_by_date || "—"}</s-table-cell>
+                <s-table-cell>
+                  <s-stack direction="inline" gap="small-200">
+                    {STATUS_BADGES[coa.status] && (
+                      <s-badge tone={STATUS_BADGES[coa.status].tone}>
+                        {STATUS_BADGES[coa.status].label}
+                      </s-badge>
+                    )}
+                    {coa.missing.length > 0 && (
+                      <s-badge tone="critical">
+                        Missing {coa.missing.join(", ")}
+                      </s-badge>
+                    )}
+                  </s-stack>
+                </s-table-cell>
+                <s-table-cell>
+                  {coa.pdf_link ? (
+                    <s-link href={coa.pdf_link} target="_blank">
+                      View PDF
+                    </s-link>
+                  ) : (
+                    "—"
+                  )}
+                </s-table-cell>
+                <s-table-cell>
+                  {coa.batch_number ? (
+                    <s-stack direction="inline" gap="small-200">
+                      {["svg", "png"].map((format) => (
+                        <s-button
+                          key={format}
+                          variant="tertiary"
+                          onClick={() => downloadQr(coa, format)}
+                          {...(downloading === `qr:${coa.id}:${format}`
+                            ? { loading: true }
+                            : {})}
+                        >
+                          {format.toUpperCase()}
+                        </s-button>
+                      ))}
+                    </s-stack>
+                  ) : (
+                    "—"
+                  )}
+                </s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+
+        {page.items.length === 0 && (
+          <s-paragraph>No certificates match these filters.</s-paragraph>
+        )}
+
+        <s-stack direction="inline" gap="base" alignItems="center">
+          <s-button
+            href={page.links.prev || undefined}
+            disabled={!page.links.prev}
           >
-            productCreate
-          </s-link>{" "}
-          mutation in our API references.
-        </s-paragraph>
-        <s-stack direction="inline" gap="base">
+            Previous
+          </s-button>
+          <s-text>
+            Page {page.page} of {page.totalPages} · {page.totalCount} matching
+          </s-text>
           <s-button
-            onClick={generateProduct}
-            {...(isLoading ? { loading: true } : {})}
+            href={page.links.next || undefined}
+            disabled={!page.links.next}
           >
-            Generate a product
+            Next
           </s-button>
-          {fetcher.data?.product && (
-            <s-button
-              onClick={() => {
-                shopify.intents.invoke?.("edit:shopify/Product", {
-                  value: fetcher.data?.product?.id,
-                });
-              }}
-              target="_blank"
-              variant="tertiary"
-            >
-              Edit product
-            </s-button>
-          )}
         </s-stack>
-        {fetcher.data?.product && (
-          <s-section heading="productCreate mutation">
-            <s-stack direction="block" gap="base">
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.product, null, 2)}</code>
-                </pre>
-              </s-box>
-
-              <s-heading>productVariantsBulkUpdate mutation</s-heading>
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.variant, null, 2)}</code>
-                </pre>
-              </s-box>
-            </s-stack>
-          </s-section>
-        )}
       </s-section>
 
-      <s-section slot="aside" heading="App template specs">
+      <s-section slot="aside" heading="Source">
         <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
+          Reading <code>{type}</code> metaobjects. Change the type, required
+          fields and defaults on the{" "}
+          <s-link href="/app/settings">settings page</s-link>.
         </s-paragraph>
         <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
+          {sync?.lastSyncedAt
+            ? `Last synced ${new Date(sync.lastSyncedAt).toLocaleString()}.`
+            : "Not synced yet."}
+          {sync?.status === "running" && " A resync is in progress."}
         </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
-        </s-paragraph>
-      </s-section>
-
-      <s-section slot="aside" heading="Next steps">
-        <s-unordered-list>
-          <s-list-item>
-            Build an{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/getting-started/build-app-example"
-              target="_blank"
-            >
-              example app
-            </s-link>
-          </s-list-item>
-          <s-list-item>
-            Explore Shopify&apos;s API with{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-              target="_blank"
-            >
-              GraphiQL
-            </s-link>
-          </s-list-item>
-        </s-unordered-list>
+        {sync?.status === "failed" && (
+          <s-banner tone="critical" heading="Last sync failed">
+            {sync.error}
+          </s-banner>
+        )}
       </s-section>
     </s-page>
   );
@@ -0,0 +1,189 @@
+import { useEffect } from "react";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  CoaWriteError,
+  deleteCoa,
+  loadCoa,
+  metaobjectGid,
+  metaobjectNumericId,
+  parseCoaForm,
+  saveCoa,
+} from "../coa-editor.server";
+import { toCoa } from "../metaobjects.server";
+
+// /app/coas/new creates a certificate; /app/coas/<numeric id> edits one
+
+async function findCoa(admin, shop, id) {
+  const gid = metaobjectGid(id);
+  const metaobject = gid && (await loadCoa(admin, shop, gid));
+  if (!metaobject) {
+    throw new Response("Certificate not found", { status: 404 });
+  }
+  return metaobject;
+}
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  if (params.id === "new") return { coa: null };
+
+  const metaobject = await findCoa(admin, session.shop, params.id);
+  return { coa: toCoa(metaobject) };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session, redirect } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const isNew = params.id === "new";
+  const id = isNew ? null : (await findCoa(admin, session.shop, params.id)).id;
+
+  try {
+    if (formData.get("intent") === "delete") {
+      await deleteCoa(admin, session.shop, id);
+      return redirect("/app");
+    }
+
+    const { values, pdf, errors } = parseCoaForm(formData);
+    if (Object.keys(errors).length) return { errors };
+
+    const saved = await saveCoa(admin, session.shop, { id, values, pdf });
+    if (isNew) {
+      return redirect(`/app/coas/${metaobjectNumericId(saved.id)}?created=1`);
+    }
+    return { saved: "Certificate saved" };
+  } catch (err) {
+    if (err instanceof CoaWriteError) {
+      return { error: err.message, errors: err.errors };
+    }
+    throw err;
+  }
+};
+
+export default function CoaPage() {
+  const { coa } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+  const [searchParams] = useSearchParams();
+  const created = searchParams.has("created");
+  const errors = actionData?.errors || {};
+  const intent = navigation.formData?.get("intent");
+  const isSaving = navigation.state === "submitting" && intent === "save";
+  const isDeleting = navigation.state === "submitting" && intent === "delete";
+
+  useEffect(() => {
+    if (actionData?.saved) {
+      shopify.toast.show(actionData.saved);
+    } else if (actionData?.error) {
+      shopify.toast.show(actionData.error, { isError: true });
+    }
+  }, [actionData, shopify]);
+
+  useEffect(() => {
+    if (created) shopify.toast.show("Certificate created");
+  }, [created, shopify]);
+
+  const confirmDelete = (event) => {
+    if (!window.confirm("Delete this certificate? This can't be undone.")) {
+      event.preventDefault();
+    }
+  };
+
+  return (
+    <s-page
+      heading={coa ? coa.product || "Certificate" : "New certificate"}
+      inlineSize="small"
+    >
+      <s-link slot="breadcrumb-actions" href="/app">
+        Certificates
+      </s-link>
+
+      <Form method="post" encType="multipart/form-data">
+        <input type="hidden" name="intent" value="save" />
+        <s-section>
+          <s-stack direction="block" gap="base">
+            <s-text-field
+              label="Product"
+              name="product_name"
+              value={coa?.product ?? ""}
+              error={errors.product_name}
+              required
+            />
+            <s-text-field
+              label="Batch number"
+              name="batch_number"
+              details="Must be unique; QR codes link to it"
+              value={coa?.batch_number ?? ""}
+              error={errors.batch_number}
+              required
+            />
+            <s-date-field
+              label="Test date"
+              name="date"
+              value={coa?.date ?? ""}
+              error={errors.date}
+              required
+            />
+            <s-date-field
+              label="Best by date"
+              name="best_by_date"
+              value={coa?.best_by_date ?? ""}
+              error={errors.best_by_date}
+            />
+            <s-drop-zone
+              label={coa?.pdf_link ? "Replace PDF" : "Certificate PDF"}
+              name="pdf"
+              accept="application/pdf,.pdf"
+              error={errors.pdf_link}
+            />
+            {coa?.pdf_link && (
+              <s-paragraph>
+                Current PDF:{" "}
+                <s-link href={coa.pdf_link} target="_blank">
+                  {coa.pdf?.filename || "View PDF"}
+                </s-link>
+              </s-paragraph>
+            )}
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isSaving ? { loading: true } : {})}
+            >
+              {coa ? "Save" : "Create certificate"}
+            </s-button>
+          </s-stack>
+        </s-section>
+      </Form>
+
+      {coa && (
+        <s-section slot="aside" heading="Delete">
+          <s-paragraph>
+            Removes the certificate from Shopify. The PDF stays in Files.
+          </s-paragraph>
+          <Form method="post" onSubmit={confirmDelete}>
+            <input type="hidden" name="intent" value="delete" />
+            <s-button
+              type="submit"
+              tone="critical"
+              {...(isDeleting ? { loading: true } : {})}
+            >
+              Delete certificate
+            </s-button>
+          </Form>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
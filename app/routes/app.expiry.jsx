@@ -0,0 +1,198 @@
+import { useEffect } from "react";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  latestDigest,
+  loadExpiryReport,
+  parseAlertForm,
+  sendExpiryDigest,
+} from "../expiry.server";
+import { saveShopSettings } from "../settings.server";
+import { SyncPendingError } from "../sync.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { settings, report } = await loadExpiryReport(admin, session.shop, {
+    partial: true,
+  });
+  const digest = await latestDigest(session.shop);
+
+  return {
+    report,
+    alerts: {
+      expiringSoonDays: settings.expiringSoonDays,
+      alertEmail: settings.alertEmail,
+      alertWebhookUrl: settings.alertWebhookUrl,
+    },
+    digest: digest && {
+      sentAt: digest.sentAt.toISOString(),
+      channels: digest.channels,
+      error: digest.error,
+    },
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "send") {
+    let loaded;
+    try {
+      loaded = await loadExpiryReport(admin, session.shop);
+    } catch (err) {
+      if (!(err instanceof SyncPendingError)) throw err;
+      return { error: `${err.message}; try again shortly` };
+    }
+    const { settings, report } = loaded;
+    if (!settings.alertEmail && !settings.alertWebhookUrl) {
+      return { error: "Add an email address or webhook URL first" };
+    }
+    const digest = await sendExpiryDigest(session.shop, report, settings);
+    return digest.error
+      ? { error: `Digest failed: ${digest.error}` }
+      : { saved: "Digest sent" };
+  }
+
+  const { settings, errors } = parseAlertForm(formData);
+  if (errors) return { errors };
+
+  await saveShopSettings(session.shop, settings);
+  return { saved: "Alert settings saved" };
+};
+
+function expiryTable(coas, emptyText) {
+  if (!coas.length) return <s-paragraph>{emptyText}</s-paragraph>;
+
+  return (
+    <s-table>
+      <s-table-header-row>
+        <s-table-header>Product</s-table-header>
+        <s-table-header>Batch number</s-table-header>
+        <s-table-header>Best by</s-table-header>
+        <s-table-header>PDF</s-table-header>
+      </s-table-header-row>
+      <s-table-body>
+        {coas.map((coa) => (
+          <s-table-row key={coa.id}>
+            <s-table-cell>{coa.product || "—"}</s-table-cell>
+            <s-table-cell>{coa.batch_number || "—"}</s-table-cell>
+            <s-table-cell>{coa.best_by_date}</s-table-cell>
+            <s-table-cell>
+              {coa.pdf_link ? (
+                <s-link href={coa.pdf_link} target="_blank">
+                  View PDF
+                </s-link>
+              ) : (
+                "—"
+              )}
+            </s-table-cell>
+          </s-table-row>
+        ))}
+      </s-table-body>
+    </s-table>
+  );
+}
+
+export default function ExpiryPage() {
+  const { report, alerts, digest } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+  const errors = actionData?.errors || {};
+  const isSubmitting = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData?.saved) {
+      shopify.toast.show(actionData.saved);
+    } else if (actionData?.error) {
+      shopify.toast.show(actionData.error, { isError: true });
+    }
+  }, [actionData, shopify]);
+
+  return (
+    <s-page heading="Certificate expiry">
+      <s-section heading={`Expired (${report.expired.length})`}>
+        {expiryTable(
+          report.expired,
+          "No certificates are past their best-by date.",
+        )}
+      </s-section>
+
+      <s-section
+        heading={`Expiring within ${report.days} days (${report.expiring.length})`}
+      >
+        {expiryTable(report.expiring, "Nothing expires in this window.")}
+      </s-section>
+
+      <s-section slot="aside" heading="Alerts">
+        <Form method="post">
+          <input type="hidden" name="intent" value="settings" />
+          <s-stack direction="block" gap="base">
+            <s-number-field
+              label="Expiring soon window (days)"
+              name="expiringSoonDays"
+              min={1}
+              max={365}
+              value={String(alerts.expiringSoonDays)}
+              error={errors.expiringSoonDays}
+            />
+            <s-email-field
+              label="Email digest to"
+              name="alertEmail"
+              value={alerts.alertEmail}
+              error={errors.alertEmail}
+            />
+            <s-url-field
+              label="Webhook URL"
+              name="alertWebhookUrl"
+              details="Receives the digest as JSON"
+              value={alerts.alertWebhookUrl}
+              error={errors.alertWebhookUrl}
+            />
+            <s-button
+              type="submit"
+              {...(isSubmitting ? { loading: true } : {})}
+            >
+              Save
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section slot="aside" heading="Daily digest">
+        <s-paragraph>
+          {digest
+            ? `Last sent ${new Date(digest.sentAt).toLocaleString()}${
+                digest.channels.length
+                  ? ` by ${digest.channels.join(" and ")}`
+                  : ""
+              }.`
+            : "No digest sent yet."}
+        </s-paragraph>
+        {digest?.error && (
+          <s-banner tone="critical" heading="Last digest failed">
+            {digest.error}
+          </s-banner>
+        )}
+        <Form method="post">
+          <input type="hidden" name="intent" value="send" />
+          <s-button type="submit" variant="secondary">
+            Send digest now
+          </s-button>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
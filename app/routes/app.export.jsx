@@ -0,0 +1,41 @@
+import { authenticate } from "../shopify.server";
+import {
+  filterAdminRecords,
+  loadAdminRecords,
+  parseAdminFilters,
+  parseAdminQuery,
+} from "../coa-admin.server";
+import { queryCoas } from "../coa-query.server";
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  exportResponse,
+} from "../coa-export.server";
+
+// Downloads every COA matching the browser's filters (no paging) as CSV or
+// JSON Lines, e.g. /app/export?format=csv&status=expired
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const format = url.searchParams.get("format") || "csv";
+  if (!EXPORT_FORMATS[format]) {
+    return Response.json(
+      {
+        error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      },
+      { status: 400 },
+    );
+  }
+
+  const { settings, records } = await loadAdminRecords(admin, session.shop);
+  const query = parseAdminQuery(url.searchParams, settings);
+  const list = queryCoas(
+    filterAdminRecords(records, parseAdminFilters(url.searchParams)),
+    query,
+  );
+
+  return exportResponse(list, {
+    format,
+    filename: exportFilename(session.shop, format),
+  });
+};
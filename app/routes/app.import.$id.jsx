@@ -0,0 +1,375 @@
+import { useEffect, useState } from "react";
+import {
+  Form,
+  useActionData,
+  useFetcher,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { AdminGraphqlError } from "../admin-graphql.server";
+import {
+  DATE_FORMATS,
+  ImportError,
+  cancelImport,
+  getImport,
+  importFileCount,
+  parseMappingForm,
+  planImport,
+  processImportBatch,
+  startImport,
+  summarizeImport,
+} from "../coa-import.server";
+import { downloadFile } from "../download";
+
+// One import: column mapping and dry run while it's a draft, then progress as
+// the page drives it a batch at a time
+
+const PREVIEW_ROWS = 200;
+
+const FIELDS = [
+  { key: "product_name", label: "Product" },
+  { key: "batch_number", label: "Batch number" },
+  { key: "date", label: "Test date" },
+  { key: "best_by_date", label: "Best by date" },
+  { key: "pdf_link", label: "PDF file name" },
+];
+
+const ACTION_BADGES = {
+  create: { tone: "success", label: "Create" },
+  update: { tone: "info", label: "Update" },
+  skip: { tone: "critical", label: "Skip" },
+};
+
+const RESULT_BADGES = {
+  created: { tone: "success", label: "Created" },
+  updated: { tone: "success", label: "Updated" },
+  skipped: { tone: "neutral", label: "Skipped" },
+  failed: { tone: "critical", label: "Failed" },
+};
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const coaImport = await getImport(session.shop, params.id);
+  if (!coaImport) throw new Response("Import not found", { status: 404 });
+
+  return {
+    id: coaImport.id,
+    filename: coaImport.filename,
+    status: coaImport.status,
+    headers: coaImport.headers,
+    mapping: coaImport.mapping,
+    dateFormat: coaImport.dateFormat,
+    dateFormats: DATE_FORMATS,
+    fileCount: await importFileCount(coaImport.id),
+    summary: summarizeImport(coaImport),
+    rows: coaImport.rows.slice(0, PREVIEW_ROWS).map((row) => ({
+      line: row.line,
+      product: row.values?.product_name ?? "",
+      batch: row.values?.batch_number ?? "",
+      pdf: row.pdf ?? null,
+      action: row.action ?? null,
+      errors: row.errors ?? [],
+      result: row.result ?? null,
+    })),
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "preview") {
+      const coaImport = await getImport(session.shop, params.id);
+      if (!coaImport) throw new ImportError("Import not found");
+      const { mapping, dateFormat, error } = parseMappingForm(
+        formData,
+        coaImport.headers,
+      );
+      if (error) return { error };
+      await planImport(admin, session.shop, params.id, {
+        mapping,
+        dateFormat,
+      });
+      return { previewed: true };
+    }
+    if (intent === "start") {
+      await startImport(session.shop, params.id);
+      return { started: true };
+    }
+    if (intent === "process") {
+      const coaImport = await processImportBatch(
+        admin,
+        session.shop,
+        params.id,
+      );
+      return coaImport ? { processed: true } : { busy: true };
+    }
+    if (intent === "cancel") {
+      await cancelImport(session.shop, params.id);
+      return { cancelled: true };
+    }
+    return { error: "Unknown action" };
+  } catch (err) {
+    if (err instanceof ImportError || err instanceof AdminGraphqlError) {
+      return { error: err.message };
+    }
+    throw err;
+  }
+};
+
+function badge(badges, key) {
+  const { tone, label } = badges[key] ?? { tone: "neutral", label: key };
+  return <s-badge tone={tone}>{label}</s-badge>;
+}
+
+export default function ImportDetailPage() {
+  const {
+    id,
+    filename,
+    status,
+    headers,
+    mapping,
+    dateFormat,
+    dateFormats,
+    fileCount,
+    summary,
+    rows,
+  } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const processor = useFetcher();
+  const shopify = useAppBridge();
+  const [paused, setPaused] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const intent = navigation.formData?.get("intent");
+  const isSubmitting = (name) =>
+    navigation.state === "submitting" && intent === name;
+
+  useEffect(() => {
+    if (actionData?.error) {
+      shopify.toast.show(actionData.error, { isError: true });
+    }
+  }, [actionData, shopify]);
+
+  // Runs the next batch whenever the last one finished; stops on an error
+  // until the user resumes
+  useEffect(() => {
+    if (status !== "running" || paused || processor.state !== "idle") return;
+    if (processor.data?.error) return;
+
+    const run = () =>
+      processor.submit({ intent: "process" }, { method: "post" });
+    // Another tab holds the import; check back shortly
+    if (processor.data?.busy) {
+      const timer = setTimeout(run, 2000);
+      return () => clearTimeout(timer);
+    }
+    run();
+  }, [status, paused, processor]);
+
+  useEffect(() => {
+    if (processor.data?.error) {
+      shopify.toast.show(processor.data.error, { isError: true });
+    }
+  }, [processor.data, shopify]);
+
+  const downloadReport = async () => {
+    setDownloading(true);
+    try {
+      await downloadFile(`/app/import/${id}/report`, "import-errors.csv");
+    } catch (err) {
+      shopify.toast.show(err.message, { isError: true });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const isDraft = status === "draft";
+  const hasProblems = summary.skip > 0 || summary.failed > 0;
+  const stopped = Boolean(processor.data?.error) || paused;
+
+  return (
+    <s-page heading={filename}>
+      <s-link slot="breadcrumb-actions" href="/app/import">
+        Import
+      </s-link>
+      {hasProblems && (
+        <s-button
+          slot="secondary-actions"
+          onClick={downloadReport}
+          {...(downloading ? { loading: true } : {})}
+        >
+          Download error report
+        </s-button>
+      )}
+
+      {status === "running" && (
+        <s-banner
+          tone={stopped ? "warning" : "info"}
+          heading={`Imported ${summary.processed} of ${summary.total} rows`}
+        >
+          <s-stack direction="inline" gap="base" alignItems="center">
+            {stopped ? (
+              <s-button
+                onClick={() => {
+                  setPaused(false);
+                  processor.submit({ intent: "process" }, { method: "post" });
+                }}
+              >
+                Resume
+              </s-button>
+            ) : (
+              <>
+                <s-spinner accessibilityLabel="Importing" size="base" />
+                <s-button onClick={() => setPaused(true)}>Pause</s-button>
+              </>
+            )}
+            <Form method="post">
+              <input type="hidden" name="intent" value="cancel" />
+              <s-button type="submit" tone="critical" variant="tertiary">
+                Cancel import
+              </s-button>
+            </Form>
+          </s-stack>
+        </s-banner>
+      )}
+      {status === "completed" && (
+        <s-banner tone="success" heading="Import finished">
+          {summary.created} created, {summary.updated} updated, {summary.failed}{" "}
+          skipped or failed.
+        </s-banner>
+      )}
+      {status === "cancelled" && (
+        <s-banner tone="warning" heading="Import cancelled">
+          {summary.created} created and {summary.updated} updated before it was
+          cancelled.
+        </s-banner>
+      )}
+
+      {isDraft && (
+        <s-section heading="Map columns">
+          <Form method="post">
+            <input type="hidden" name="intent" value="preview" />
+            <s-stack direction="block" gap="base">
+              <s-paragraph>
+                {summary.total} rows and {fileCount} PDFs uploaded. Rows are
+                matched to existing certificates by batch number: a match is
+                updated, anything else is created.
+              </s-paragraph>
+              {FIELDS.map((field) => (
+                <s-select
+                  key={field.key}
+                  label={field.label}
+                  name={`map_${field.key}`}
+                  value={mapping[field.key] ?? ""}
+                >
+                  <s-option value="">Not in this file</s-option>
+                  {headers.map((header) => (
+                    <s-option key={header} value={header}>
+                      {header}
+                    </s-option>
+                  ))}
+                </s-select>
+              ))}
+              <s-select
+                label="Date format"
+                name="dateFormat"
+                value={dateFormat}
+              >
+                {Object.entries(dateFormats).map(([key, label]) => (
+                  <s-option key={key} value={key}>
+                    {label}
+                  </s-option>
+                ))}
+              </s-select>
+              <s-button
+                type="submit"
+                {...(isSubmitting("preview") ? { loading: true } : {})}
+              >
+                Preview changes
+              </s-button>
+            </s-stack>
+          </Form>
+        </s-section>
+      )}
+
+      {summary.planned && (
+        <s-section heading={isDraft ? "Dry run" : "Rows"}>
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-badge tone="success">{summary.create} to create</s-badge>
+              <s-badge tone="info">{summary.update} to update</s-badge>
+              <s-badge tone="critical">{summary.skip} to skip</s-badge>
+            </s-stack>
+
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Row</s-table-header>
+                <s-table-header>Product</s-table-header>
+                <s-table-header>Batch number</s-table-header>
+                <s-table-header>PDF</s-table-header>
+                <s-table-header>{isDraft ? "Change" : "Result"}</s-table-header>
+                <s-table-header>Problems</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {rows.map((row) => (
+                  <s-table-row key={row.line}>
+                    <s-table-cell>{row.line}</s-table-cell>
+                    <s-table-cell>{row.product || "—"}</s-table-cell>
+                    <s-table-cell>{row.batch || "—"}</s-table-cell>
+                    <s-table-cell>{row.pdf || "—"}</s-table-cell>
+                    <s-table-cell>
+                      {row.result
+                        ? badge(RESULT_BADGES, row.result.status)
+                        : row.action && badge(ACTION_BADGES, row.action)}
+                    </s-table-cell>
+                    <s-table-cell>
+                      {row.result?.error || row.errors.join("; ") || "—"}
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+            {summary.total > rows.length && (
+              <s-paragraph>
+                Showing the first {rows.length} of {summary.total} rows. The
+                error report lists every problem.
+              </s-paragraph>
+            )}
+
+            {isDraft && (
+              <s-stack direction="inline" gap="base">
+                <Form method="post">
+                  <input type="hidden" name="intent" value="start" />
+                  <s-button
+                    type="submit"
+                    variant="primary"
+                    disabled={!summary.create && !summary.update}
+                    {...(isSubmitting("start") ? { loading: true } : {})}
+                  >
+                    Import {summary.create + summary.update} rows
+                  </s-button>
+                </Form>
+                <Form method="post">
+                  <input type="hidden" name="intent" value="cancel" />
+                  <s-button type="submit" variant="tertiary">
+                    Discard
+                  </s-button>
+                </Form>
+              </s-stack>
+            )}
+          </s-stack>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,30 @@
+import { authenticate } from "../shopify.server";
+import { getImport, importErrorReport } from "../coa-import.server";
+
+// Header values must be Latin-1, so the real name goes in filename* (RFC 5987)
+// and filename gets an ASCII stand-in
+function attachmentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// CSV of the rows an import skipped or failed to save, with the reasons
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const coaImport = await getImport(session.shop, params.id);
+  if (!coaImport) {
+    return Response.json({ error: "Import not found" }, { status: 404 });
+  }
+
+  const name = coaImport.filename.replace(/\.csv$/i, "");
+  return new Response(importErrorReport(coaImport), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": attachmentDisposition(`${name}-errors.csv`),
+    },
+  });
+};
@@ -0,0 +1,140 @@
+import { useEffect } from "react";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { ImportError, createImport, listImports } from "../coa-import.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const imports = await listImports(session.shop);
+
+  return {
+    imports: imports.map((coaImport) => ({
+      ...coaImport,
+      createdAt: coaImport.createdAt.toISOString(),
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, redirect } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const coaImport = await createImport(session.shop, {
+      csv: formData.get("csv"),
+      zip: formData.get("zip"),
+    });
+    return redirect(`/app/import/${coaImport.id}`);
+  } catch (err) {
+    if (err instanceof ImportError) return { error: err.message };
+    throw err;
+  }
+};
+
+const STATUS_BADGES = {
+  draft: { tone: "info", label: "Draft" },
+  running: { tone: "warning", label: "Running" },
+  completed: { tone: "success", label: "Completed" },
+  cancelled: { tone: "neutral", label: "Cancelled" },
+};
+
+export default function ImportPage() {
+  const { imports } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+  const isUploading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData?.error) {
+      shopify.toast.show(actionData.error, { isError: true });
+    }
+  }, [actionData, shopify]);
+
+  return (
+    <s-page heading="Import certificates">
+      <s-section heading="Upload">
+        <s-paragraph>
+          Upload the lab&apos;s spreadsheet as CSV, with a zip of the PDFs. On
+          the next step you map its columns and preview every change before
+          anything is saved. PDFs are matched to rows by the file name in the
+          PDF column, or else by batch number (e.g. <code>B-1042.pdf</code>).
+        </s-paragraph>
+        <Form method="post" encType="multipart/form-data">
+          <s-stack direction="block" gap="base">
+            <s-drop-zone
+              label="CSV file"
+              name="csv"
+              accept=".csv,text/csv"
+              error={actionData?.error}
+              required
+            />
+            <s-drop-zone
+              label="Zip of PDFs (optional)"
+              name="zip"
+              accept=".zip,application/zip"
+            />
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isUploading ? { loading: true } : {})}
+            >
+              Upload and map columns
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section heading="Recent imports">
+        {imports.length ? (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>File</s-table-header>
+              <s-table-header>Uploaded</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Created</s-table-header>
+              <s-table-header>Updated</s-table-header>
+              <s-table-header>Failed or skipped</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {imports.map((coaImport) => (
+                <s-table-row key={coaImport.id}>
+                  <s-table-cell>
+                    <s-link href={`/app/import/${coaImport.id}`}>
+                      {coaImport.filename}
+                    </s-link>
+                  </s-table-cell>
+                  <s-table-cell>
+                    {new Date(coaImport.createdAt).toLocaleString()}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={STATUS_BADGES[coaImport.status]?.tone}>
+                      {STATUS_BADGES[coaImport.status]?.label ??
+                        coaImport.status}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>{coaImport.createdCount}</s-table-cell>
+                  <s-table-cell>{coaImport.updatedCount}</s-table-cell>
+                  <s-table-cell>{coaImport.failedCount}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        ) : (
+          <s-paragraph>No imports yet.</s-paragraph>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
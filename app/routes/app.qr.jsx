@@ -0,0 +1,37 @@
+import { authenticate } from "../shopify.server";
+import {
+  QR_FORMATS,
+  batchUrl,
+  qrCode,
+  shopPrimaryUrl,
+} from "../batch-links.server";
+
+// Downloadable QR code linking to a batch's storefront page, for packaging:
+// /app/qr?batch=BR0423&format=svg|png
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const batch = url.searchParams.get("batch")?.trim();
+  const format = url.searchParams.get("format") || "svg";
+
+  if (!batch) {
+    return Response.json({ error: "batch is required" }, { status: 400 });
+  }
+  if (!QR_FORMATS[format]) {
+    return Response.json(
+      { error: `format must be one of ${Object.keys(QR_FORMATS).join(", ")}` },
+      { status: 400 },
+    );
+  }
+
+  const target = batchUrl(await shopPrimaryUrl(admin, session.shop), batch);
+  const filename = `coa-${batch.replace(/[^\w-]+/g, "_")}-qr.${format}`;
+
+  return new Response(await qrCode(target, format), {
+    headers: {
+      "Content-Type": QR_FORMATS[format],
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
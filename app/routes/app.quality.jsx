@@ -0,0 +1,185 @@
+import { Form, useLoaderData, useNavigation } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { InvalidQueryError, paginate, parsePaging } from "../coa-query.server";
+import {
+  QUALITY_CHECKS,
+  filterQualityRecords,
+  loadQualityReport,
+} from "../coa-quality.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const code = QUALITY_CHECKS[url.searchParams.get("code")]
+    ? url.searchParams.get("code")
+    : "";
+  const checkLinks = url.searchParams.get("links") === "1";
+
+  let paging;
+  try {
+    paging = parsePaging(url.searchParams);
+  } catch (err) {
+    if (!(err instanceof InvalidQueryError)) throw err;
+    paging = parsePaging(new URLSearchParams());
+  }
+
+  const { records, ...summary } = await loadQualityReport(admin, session.shop, {
+    checkLinks,
+  });
+  const page = paginate(
+    filterQualityRecords(records, { code: code || undefined }),
+    paging,
+    { basePath: url.pathname, searchParams: url.searchParams },
+  );
+
+  return { checks: QUALITY_CHECKS, summary, page, code, checkLinks };
+};
+
+export default function QualityPage() {
+  const { checks, summary, page, code, checkLinks } = useLoaderData();
+  const navigation = useNavigation();
+
+  return (
+    <s-page heading="Data quality">
+      <s-section>
+        <s-stack direction="inline" gap="base">
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{summary.total}</s-heading>
+            <s-text>Certificates</s-text>
+          </s-box>
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{summary.withProblems}</s-heading>
+            <s-text>With problems</s-text>
+          </s-box>
+          <s-box padding="base" borderWidth="base" borderRadius="base">
+            <s-heading>{summary.hidden}</s-heading>
+            <s-text>Hidden from the storefront</s-text>
+          </s-box>
+        </s-stack>
+      </s-section>
+
+      <s-section>
+        <Form method="get">
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-select label="Problem" name="code" value={code}>
+              <s-option value="">All problems</s-option>
+              {Object.entries(checks).map(([key, check]) => (
+                <s-option key={key} value={key}>
+                  {check.label} ({summary.counts[key]})
+                </s-option>
+              ))}
+            </s-select>
+            <s-checkbox
+              label="Check that PDF links open"
+              name="links"
+              value="1"
+              checked={checkLinks}
+            />
+            <s-button type="submit">Apply</s-button>
+          </s-stack>
+        </Form>
+
+        <s-table loading={navigation.state === "loading"}>
+          <s-table-header-row>
+            <s-table-header>Product</s-table-header>
+            <s-table-header>Batch number</s-table-header>
+            <s-table-header>Problems</s-table-header>
+            <s-table-header>Fix</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {page.items.map((record) => (
+              <s-table-row key={record.id}>
+                <s-table-cell>{record.product || record.handle}</s-table-cell>
+                <s-table-cell>{record.batch_number || "—"}</s-table-cell>
+                <s-table-cell>
+                  <s-stack direction="block" gap="small-200">
+                    {record.problems.map((problem) => (
+                      <s-stack
+                        key={`${problem.code}:${problem.field}:${problem.message}`}
+                        direction="inline"
+                        gap="small-200"
+                      >
+                        <s-badge
+                          tone={
+                            problem.severity === "error"
+                              ? "critical"
+                              : "warning"
+                          }
+                        >
+                          {checks[problem.code].label}
+                        </s-badge>
+                        <s-text>{problem.message}</s-text>
+                      </s-stack>
+                    ))}
+                  </s-stack>
+                </s-table-cell>
+                <s-table-cell>
+                  <s-stack direction="inline" gap="small-200">
+                    <s-link href={record.editPath}>Edit</s-link>
+                    <s-link href={record.shopifyAdminUrl} target="_top">
+                      Open in Shopify
+                    </s-link>
+                  </s-stack>
+                </s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+
+        {page.items.length === 0 && (
+          <s-paragraph>
+            {summary.withProblems
+              ? "No certificates have this problem."
+              : "Every certificate passes the checks."}
+          </s-paragraph>
+        )}
+
+        <s-stack direction="inline" gap="base" alignItems="center">
+          <s-button
+            href={page.links.prev || undefined}
+            disabled={!page.links.prev}
+          >
+            Previous
+          </s-button>
+          <s-text>
+            Page {page.page} of {page.totalPages} · {page.totalCount} matching
+          </s-text>
+          <s-button
+            href={page.links.next || undefined}
+            disabled={!page.links.next}
+          >
+            Next
+          </s-button>
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="About these checks">
+        <s-paragraph>
+          Certificates missing a required field are left off the storefront
+          entirely. Required fields are set on the{" "}
+          <s-link href="/app/settings">settings page</s-link>.
+        </s-paragraph>
+        <s-paragraph>
+          {summary.linksChecked
+            ? "PDF links were requested to check they open; results are kept for an hour."
+            : "PDF links are only checked for format. Tick the box above to request each one."}
+        </s-paragraph>
+        {summary.linksUnchecked > 0 && (
+          <s-paragraph>
+            {summary.linksUnchecked} PDF links weren&apos;t checked, because
+            time ran out or they redirect to another site. Reload to check more.
+          </s-paragraph>
+        )}
+        <s-paragraph>
+          The same report is available as JSON at <code>/app/quality.json</code>
+          .
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,55 @@
+import { authenticate } from "../shopify.server";
+import { InvalidQueryError, paginate, parsePaging } from "../coa-query.server";
+import {
+  QUALITY_CHECKS,
+  filterQualityRecords,
+  loadQualityReport,
+} from "../coa-quality.server";
+
+// The data quality report as JSON, for scripts holding a session token:
+//   GET /app/quality.json?code=invalid_date&severity=error&links=1&page=2
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const code = url.searchParams.get("code") || undefined;
+  const severity = url.searchParams.get("severity") || undefined;
+
+  if (code && !QUALITY_CHECKS[code]) {
+    return Response.json(
+      {
+        error: `code must be one of ${Object.keys(QUALITY_CHECKS).join(", ")}`,
+      },
+      { status: 400 },
+    );
+  }
+  if (severity && !["error", "warning"].includes(severity)) {
+    return Response.json(
+      { error: "severity must be error or warning" },
+      { status: 400 },
+    );
+  }
+
+  let paging;
+  try {
+    paging = parsePaging(url.searchParams);
+  } catch (err) {
+    if (err instanceof InvalidQueryError) {
+      return Response.json({ error: err.message }, { status: 400 });
+    }
+    throw err;
+  }
+
+  const { records, ...summary } = await loadQualityReport(admin, session.shop, {
+    checkLinks: url.searchParams.get("links") === "1",
+  });
+  const page = paginate(
+    filterQualityRecords(records, { code, severity }),
+    paging,
+    {
+      basePath: url.pathname,
+      searchParams: url.searchParams,
+    },
+  );
+
+  return Response.json({ checks: QUALITY_CHECKS, ...summary, ...page });
+};
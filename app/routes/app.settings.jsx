@@ -0,0 +1,429 @@
+import { useEffect } from "react";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { apiVersion, appUrl, authenticate } from "../shopify.server";
+import { AdminGraphqlError, adminGraphql } from "../admin-graphql.server";
+import { MAX_PAGE_SIZE, SORT_FIELDS } from "../coa-query.server";
+import {
+  COA_FIELDS,
+  deleteExposure,
+  listExposures,
+  saveExposure,
+} from "../metaobjects.server";
+import {
+  getShopSettings,
+  parseSettingsForm,
+  saveShopSettings,
+} from "../settings.server";
+import { invalidateShop } from "../cache.server";
+import { PRODUCT_MATCH_RULES } from "../product-coas.server";
+import { listShopDomains, refreshShopDomains } from "../shop-domains.server";
+import {
+  HeadlessSetupError,
+  disableHeadless,
+  enableHeadless,
+  ensureStorefrontReadable,
+  getStorefrontAccess,
+} from "../storefront-access.server";
+
+const FIELD_LABELS = {
+  date: "Test date",
+  product_name: "Product",
+  batch_number: "Batch number",
+  pdf_link: "PDF link",
+  best_by_date: "Best by date",
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+      query SettingsMetaobjectDefinitions {
+        metaobjectDefinitions(first: 50) {
+          nodes {
+            type
+            name
+          }
+        }
+      }`,
+  );
+
+  // Shops installed before domains were stored pick them up here
+  let shopDomains = await listShopDomains(session.shop);
+  if (!shopDomains.length) {
+    shopDomains = await refreshShopDomains(admin, session.shop);
+  }
+
+  const access = await getStorefrontAccess(session.shop);
+
+  return {
+    shopDomains,
+    headless: access && {
+      storeDomain: session.shop,
+      accessToken: access.accessToken,
+      apiVersion,
+      endpoint: `${appUrl}/api/v1/headless/coas?shop=${session.shop}`,
+    },
+    clientUrl: `${appUrl}/storefront-client.js`,
+    settings: await getShopSettings(session.shop),
+    exposures: await listExposures(session.shop),
+    definitions: data.metaobjectDefinitions.nodes,
+    coaFields: COA_FIELDS,
+    sortFields: Object.keys(SORT_FIELDS),
+    maxPageSize: MAX_PAGE_SIZE,
+    productMatchRules: PRODUCT_MATCH_RULES,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "refresh-domains") {
+    await refreshShopDomains(admin, session.shop);
+    return { saved: "domains" };
+  }
+
+  if (intent === "enable-headless" || intent === "disable-headless") {
+    try {
+      if (intent === "enable-headless") {
+        await enableHeadless(admin, session.shop);
+      } else {
+        await disableHeadless(admin, session.shop);
+      }
+    } catch (err) {
+      if (
+        err instanceof HeadlessSetupError ||
+        err instanceof AdminGraphqlError
+      ) {
+        return { error: err.message };
+      }
+      throw err;
+    }
+    return { saved: "headless" };
+  }
+
+  if (intent === "expose") {
+    const type = String(formData.get("type") || "");
+    const fields = String(formData.get("fields") || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean);
+    if (!type) return { errors: { type: "Choose a metaobject type" } };
+
+    await saveExposure(session.shop, type, fields);
+    await invalidateShop(session.shop);
+    return { saved: "exposure" };
+  }
+
+  if (intent === "unexpose") {
+    await deleteExposure(session.shop, String(formData.get("type")));
+    await invalidateShop(session.shop);
+    return { saved: "exposure" };
+  }
+
+  const { settings, errors } = parseSettingsForm(formData);
+  if (errors) return { errors };
+
+  await saveShopSettings(session.shop, settings);
+  // Headless storefronts need the newly chosen type readable too
+  if (await getStorefrontAccess(session.shop)) {
+    try {
+      await ensureStorefrontReadable(admin, settings.metaobjectType);
+    } catch (err) {
+      if (
+        err instanceof HeadlessSetupError ||
+        err instanceof AdminGraphqlError
+      ) {
+        return {
+          error: `Settings saved, but headless storefronts can't read the type: ${err.message}`,
+        };
+      }
+      throw err;
+    }
+  }
+  return { saved: "settings" };
+};
+
+export default function SettingsPage() {
+  const {
+    shopDomains,
+    headless,
+    clientUrl,
+    settings,
+    exposures,
+    definitions,
+    coaFields,
+    sortFields,
+    maxPageSize,
+    productMatchRules,
+  } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+  const errors = actionData?.errors || {};
+  const isSaving = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData?.saved) {
+      shopify.toast.show("Settings saved");
+    } else if (actionData?.error) {
+      shopify.toast.show(actionData.error, { isError: true });
+    }
+  }, [actionData, shopify]);
+
+  // Keep the saved type selectable even if its definition was removed
+  const typeOptions = definitions.some(
+    (definition) => definition.type === settings.metaobjectType,
+  )
+    ? definitions
+    : [
+        { type: settings.metaobjectType, name: settings.metaobjectType },
+        ...definitions,
+      ];
+
+  return (
+    <s-page heading="Paginator settings">
+      <Form method="post">
+        <input type="hidden" name="intent" value="settings" />
+        <s-section heading="Storefront COA list">
+          <s-stack direction="block" gap="base">
+            <s-select
+              label="Metaobject type"
+              name="metaobjectType"
+              value={settings.metaobjectType}
+              details="Served at /coas. The type must use the COA field keys."
+              error={errors.metaobjectType}
+            >
+              {typeOptions.map((definition) => (
+                <s-option key={definition.type} value={definition.type}>
+                  {definition.name}
+                </s-option>
+              ))}
+            </s-select>
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Default sort"
+                name="defaultSort"
+                value={settings.defaultSort}
+                error={errors.defaultSort}
+              >
+                {sortFields.map((key) => (
+                  <s-option key={key} value={key}>
+                    {FIELD_LABELS[key === "product" ? "product_name" : key]}
+                  </s-option>
+                ))}
+              </s-select>
+              <s-select
+                label="Order"
+                name="defaultOrder"
+                value={settings.defaultOrder}
+                error={errors.defaultOrder}
+              >
+                <s-option value="desc">Descending</s-option>
+                <s-option value="asc">Ascending</s-option>
+              </s-select>
+              <s-number-field
+                label="Page size"
+                name="pageSize"
+                min={1}
+                max={maxPageSize}
+                value={String(settings.pageSize)}
+                error={errors.pageSize}
+              />
+            </s-stack>
+            <s-choice-list
+              label="Required fields"
+              name="requiredFields"
+              details="Records missing any of these are left out of the list."
+              multiple
+            >
+              {coaFields.map((key) => (
+                <s-choice
+                  key={key}
+                  value={key}
+                  defaultSelected={settings.requiredFields.includes(key)}
+                >
+                  {FIELD_LABELS[key]}
+                </s-choice>
+              ))}
+            </s-choice-list>
+            <s-choice-list
+              label="Visible columns"
+              name="visibleColumns"
+              error={errors.visibleColumns}
+              multiple
+            >
+              {coaFields.map((key) => (
+                <s-choice
+                  key={key}
+                  value={key}
+                  defaultSelected={settings.visibleColumns.includes(key)}
+                >
+                  {FIELD_LABELS[key]}
+                </s-choice>
+              ))}
+            </s-choice-list>
+            <s-text-area
+              label="Additional storefront origins"
+              name="corsOrigins"
+              details="One per line, e.g. https://example.com. Your shop's own domains are allowed already."
+              value={settings.corsOrigins.join("\n")}
+              error={errors.corsOrigins}
+            />
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Product reference field"
+                name="productReferenceField"
+                details="Key of a product reference field on the COA. Leave empty to match by product name."
+                value={settings.productReferenceField}
+                error={errors.productReferenceField}
+              />
+              <s-select
+                label="Product name matching"
+                name="productMatch"
+                value={settings.productMatch}
+                details="Used by /coas/product when there is no reference field."
+                error={errors.productMatch}
+              >
+                {Object.entries(productMatchRules).map(([rule, label]) => (
+                  <s-option key={rule} value={rule}>
+                    {label}
+                  </s-option>
+                ))}
+              </s-select>
+            </s-stack>
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save
+            </s-button>
+          </s-stack>
+        </s-section>
+      </Form>
+
+      <s-section heading="Storefront domains">
+        <s-paragraph>
+          The storefront endpoints accept browser requests from these domains.
+          They update automatically when you add or change a domain in Shopify.
+        </s-paragraph>
+        <s-unordered-list>
+          {shopDomains.map((origin) => (
+            <s-list-item key={origin}>{origin}</s-list-item>
+          ))}
+        </s-unordered-list>
+        <Form method="post">
+          <input type="hidden" name="intent" value="refresh-domains" />
+          <s-button type="submit" variant="tertiary">
+            Refresh domains
+          </s-button>
+        </Form>
+      </s-section>
+
+      <s-section heading="Headless storefronts">
+        {headless ? (
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Headless storefronts can read certificates through the Storefront
+              API with this token, using the{" "}
+              <s-link href={clientUrl} target="_blank">
+                client helper
+              </s-link>
+              , or from the endpoint below. Add their domains to the additional
+              storefront origins above.
+            </s-paragraph>
+            <s-text-field
+              label="Store domain"
+              value={headless.storeDomain}
+              readOnly
+            />
+            <s-text-field
+              label="Storefront API token"
+              details={`Storefront API version ${headless.apiVersion}`}
+              value={headless.accessToken}
+              readOnly
+            />
+            <s-text-field label="Endpoint" value={headless.endpoint} readOnly />
+            <Form method="post">
+              <input type="hidden" name="intent" value="disable-headless" />
+              <s-button type="submit" tone="critical" variant="tertiary">
+                Turn off and revoke token
+              </s-button>
+            </Form>
+          </s-stack>
+        ) : (
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Let headless storefronts such as Hydrogen read certificates
+              through the Storefront API. This makes the COA type readable on
+              the storefront and issues a Storefront API token.
+            </s-paragraph>
+            <Form method="post">
+              <input type="hidden" name="intent" value="enable-headless" />
+              <s-button type="submit">Turn on headless access</s-button>
+            </Form>
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Other metaobject types">
+        <s-paragraph>
+          Exposed types are served at <code>/proxy/&lt;type&gt;</code>. Leave
+          fields empty to expose every field of the type.
+        </s-paragraph>
+        <s-stack direction="block" gap="base">
+          {exposures.map((exposure) => (
+            <Form method="post" key={exposure.type}>
+              <input type="hidden" name="intent" value="unexpose" />
+              <input type="hidden" name="type" value={exposure.type} />
+              <s-stack direction="inline" gap="base" alignItems="center">
+                <s-text type="strong">{exposure.type}</s-text>
+                <s-text>
+                  {exposure.fields.length
+                    ? exposure.fields.join(", ")
+                    : "All fields"}
+                </s-text>
+                <s-button type="submit" variant="tertiary" tone="critical">
+                  Remove
+                </s-button>
+              </s-stack>
+            </Form>
+          ))}
+          <Form method="post">
+            <input type="hidden" name="intent" value="expose" />
+            <s-stack direction="inline" gap="base" alignItems="end">
+              <s-select label="Type" name="type" error={errors.type}>
+                {definitions.map((definition) => (
+                  <s-option key={definition.type} value={definition.type}>
+                    {definition.name}
+                  </s-option>
+                ))}
+              </s-select>
+              <s-text-field
+                label="Fields"
+                name="fields"
+                details="Comma-separated field keys"
+              />
+              <s-button type="submit">Expose type</s-button>
+            </s-stack>
+          </Form>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,40 @@
+import { redirect } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listBatchCoas } from "../app-proxy.server";
+import { batchLandingPage, isPdfUrl } from "../batch-links.server";
+import { SyncPendingError } from "../sync.server";
+
+// QR code target for packaging, served at /apps/coa/coas/batch/<batch number>.
+// A batch with a single certificate goes straight to its PDF; anything else
+// (or ?view=page) gets a landing page rendered in the storefront theme.
+export const loader = async ({ request, params }) => {
+  const { session, admin } = await authenticate.public.appProxy(request);
+  if (!session) {
+    return new Response("Shop not installed", { status: 401 });
+  }
+
+  const url = new URL(request.url);
+  let coas;
+  try {
+    coas = await listBatchCoas({ session, admin }, params.batchNumber);
+  } catch (err) {
+    if (!(err instanceof SyncPendingError)) throw err;
+    return new Response(err.message, {
+      status: 503,
+      headers: { "Retry-After": String(err.retryAfter) },
+    });
+  }
+
+  if (
+    coas.length === 1 &&
+    isPdfUrl(coas[0].pdf_link) &&
+    url.searchParams.get("view") !== "page"
+  ) {
+    return redirect(coas[0].pdf_link);
+  }
+
+  return new Response(batchLandingPage(params.batchNumber, coas), {
+    status: coas.length ? 200 : 404,
+    headers: { "Content-Type": "application/liquid" },
+  });
+};
@@ -0,0 +1,6 @@
+import { appProxyJson, listCoas } from "../app-proxy.server";
+
+// Storefront COA list, served at /apps/coa/coas through the app proxy
+export const loader = async ({ request }) => appProxyJson(request, listCoas);
+
+export const action = async ({ request }) => appProxyJson(request, listCoas);
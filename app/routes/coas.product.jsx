@@ -0,0 +1,9 @@
+import { appProxyJson, listProductCoas } from "../app-proxy.server";
+
+// One product's COAs for product page widgets, served at
+// /apps/coa/coas/product?handle=<handle> (or ?id=, ?sku=)
+export const loader = async ({ request }) =>
+  appProxyJson(request, listProductCoas);
+
+export const action = async ({ request }) =>
+  appProxyJson(request, listProductCoas);
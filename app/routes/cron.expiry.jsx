@@ -0,0 +1,23 @@
+import {
+  isAuthorizedCron,
+  runExpiryAlerts,
+  runShopExpiryAlerts,
+} from "../expiry.server";
+
+// Daily expiry digests for every installed shop. Vercel Cron calls this with
+// `Authorization: Bearer $CRON_SECRET` (see vercel.json); for the Docker image,
+// schedule the same request from the host, e.g.
+//   curl -H "Authorization: Bearer $CRON_SECRET" https://<app>/cron/expiry
+// It calls itself with `?shop=` once per shop, so each shop gets a request of
+// its own.
+export const loader = async ({ request }) => {
+  if (!isAuthorizedCron(request)) {
+    return Response.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const shop = new URL(request.url).searchParams.get("shop");
+  if (shop) return Response.json(await runShopExpiryAlerts(shop));
+
+  const shops = await runExpiryAlerts(request.headers.get("Authorization"));
+  return Response.json({ shops });
+};
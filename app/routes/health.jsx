@@ -0,0 +1,23 @@
+import { healthCheck, isAuthorizedHealthCheck } from "../health.server";
+
+// Load balancers and uptime monitors poll this anonymously. Per-shop checks
+// need the health secret, e.g.
+//   curl -H "Authorization: Bearer $HEALTH_SECRET" "https://<app>/health?shop=<shop>&deep=1"
+export const loader = async ({ request }) => {
+  const url = new URL(request.url);
+  const authorized = isAuthorizedHealthCheck(request);
+  const shop = url.searchParams.get("shop");
+  const deep = url.searchParams.get("deep") === "1";
+  if ((shop || deep) && !authorized) {
+    return Response.json(
+      { error: "Unauthorized" },
+      { status: 401, headers: { "Cache-Control": "no-store" } },
+    );
+  }
+
+  const { httpStatus, body } = await healthCheck({ shop, deep, authorized });
+  return Response.json(body, {
+    status: httpStatus,
+    headers: { "Cache-Control": "no-store" },
+  });
+};
@@ -0,0 +1,15 @@
+import { isAuthorizedScrape, renderMetrics } from "../metrics.server";
+
+// Prometheus scrape target
+export const loader = async ({ request }) => {
+  if (!isAuthorizedScrape(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  return new Response(renderMetrics(), {
+    headers: {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Cache-Control": "no-store",
+    },
+  });
+};
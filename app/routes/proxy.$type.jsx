@@ -0,0 +1,7 @@
+import { appProxyJson, listMetaobjects } from "../app-proxy.server";
+
+export const loader = async ({ request, params }) =>
+  appProxyJson(request, (context) => listMetaobjects(context, params.type));
+
+export const action = async ({ request, params }) =>
+  appProxyJson(request, (context) => listMetaobjects(context, params.type));
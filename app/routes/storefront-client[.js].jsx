@@ -0,0 +1,11 @@
+import source from "../storefront-client.js?raw";
+
+// The headless client helper's source, for storefronts to download
+export const loader = async () =>
+  new Response(source, {
+    headers: {
+      "Content-Type": "text/javascript; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600",
+    },
+  });
@@ -1,22 +1,13 @@
+import { logger } from "../logger.server";
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { handleScopesUpdate } from "../webhooks.server";
 
 export const action = async ({ request }) => {
-  const { payload, session, topic, shop } = await authenticate.webhook(request);
+  const { payload, topic, shop } = await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
-  const current = payload.current;
+  logger.info("Webhook received", { topic });
 
-  if (session) {
-    await db.session.update({
-      where: {
-        id: session.id,
-      },
-      data: {
-        scope: current.toString(),
-      },
-    });
-  }
+  await handleScopesUpdate(shop, payload);
 
   return new Response();
 };
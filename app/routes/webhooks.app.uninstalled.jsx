@@ -1,16 +1,13 @@
+import { logger } from "../logger.server";
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { handleAppUninstalled } from "../webhooks.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, topic } = await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  logger.info("Webhook received", { topic });
 
-  // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
+  await handleAppUninstalled(shop);
 
   return new Response();
 };
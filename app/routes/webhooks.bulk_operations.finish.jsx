@@ -0,0 +1,13 @@
+import { logger } from "../logger.server";
+import { authenticate } from "../shopify.server";
+import { handleBulkOperationFinish } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook received", { topic });
+
+  await handleBulkOperationFinish(shop, payload, admin);
+
+  return new Response();
+};
@@ -0,0 +1,13 @@
+import { logger } from "../logger.server";
+import { authenticate } from "../shopify.server";
+import { handleDomainsChange } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, shop, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook received", { topic });
+
+  await handleDomainsChange(shop, admin);
+
+  return new Response();
+};
@@ -0,0 +1,13 @@
+import { logger } from "../logger.server";
+import { authenticate } from "../shopify.server";
+import { handleMetaobjectChange } from "../webhooks.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook received", { topic });
+
+  await handleMetaobjectChange(shop, payload, topic, admin);
+
+  return new Response();
+};
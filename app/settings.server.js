@@ -0,0 +1,149 @@
+import prisma from "./db.server.js";
+import { cachedForShop, invalidateShop } from "./cache.server.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  EXPIRING_SOON_DAYS,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+} from "./coa-query.server.js";
+import {
+  COA_FIELDS,
+  COA_TYPE,
+  DEFAULT_REQUIRED_FIELDS,
+} from "./metaobjects.server.js";
+import { PRODUCT_MATCH_RULES } from "./product-coas.server.js";
+
+// Per-shop paginator settings, edited on the embedded settings page and read
+// by the storefront endpoints on every request.
+
+export const DEFAULT_SETTINGS = {
+  metaobjectType: COA_TYPE,
+  defaultSort: "date",
+  defaultOrder: "desc",
+  pageSize: DEFAULT_PAGE_SIZE,
+  requiredFields: DEFAULT_REQUIRED_FIELDS,
+  visibleColumns: COA_FIELDS,
+  corsOrigins: [],
+  productReferenceField: "",
+  productMatch: "exact",
+  expiringSoonDays: EXPIRING_SOON_DAYS,
+  alertEmail: "",
+  alertWebhookUrl: "",
+};
+
+function toSettings(row) {
+  if (!row) return { ...DEFAULT_SETTINGS };
+  return Object.fromEntries(
+    Object.keys(DEFAULT_SETTINGS).map((key) => [key, row[key]]),
+  );
+}
+
+/** The shop's settings, or the defaults when it never saved any. */
+export async function getShopSettings(shop) {
+  return cachedForShop(shop, "settings", async () =>
+    toSettings(await prisma.shopSettings.findUnique({ where: { shop } })),
+  );
+}
+
+export async function saveShopSettings(shop, settings) {
+  await prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...settings },
+    update: settings,
+  });
+  // Type and required fields change what the cached lists should contain
+  await invalidateShop(shop);
+}
+
+function parseOrigin(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+    return url.origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates the settings form. Returns `{ settings }` on success and
+ * `{ errors }` keyed by field name otherwise.
+ */
+export function parseSettingsForm(formData) {
+  const errors = {};
+
+  const metaobjectType = String(formData.get("metaobjectType") || "").trim();
+  if (!/^[$:\w-]+$/.test(metaobjectType)) {
+    errors.metaobjectType = "Choose a metaobject type";
+  }
+
+  const defaultSort = String(formData.get("defaultSort"));
+  if (!SORT_FIELDS[defaultSort]) {
+    errors.defaultSort = "Choose a sort field";
+  }
+
+  const defaultOrder = String(formData.get("defaultOrder"));
+  if (defaultOrder !== "asc" && defaultOrder !== "desc") {
+    errors.defaultOrder = "Choose ascending or descending";
+  }
+
+  const pageSize = Number(formData.get("pageSize"));
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.pageSize = `Enter a whole number from 1 to ${MAX_PAGE_SIZE}`;
+  }
+
+  const requiredFields = formData
+    .getAll("requiredFields")
+    .filter((key) => COA_FIELDS.includes(key));
+  const visibleColumns = formData
+    .getAll("visibleColumns")
+    .filter((key) => COA_FIELDS.includes(key));
+  if (!visibleColumns.length) {
+    errors.visibleColumns = "Show at least one column";
+  }
+
+  const origins = String(formData.get("corsOrigins") || "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  const corsOrigins = origins.map(parseOrigin);
+  if (corsOrigins.includes(null)) {
+    errors.corsOrigins = "Enter full origins such as https://example.com";
+  }
+
+  const productReferenceField = String(
+    formData.get("productReferenceField") || "",
+  ).trim();
+  if (productReferenceField && !/^[\w-]+$/.test(productReferenceField)) {
+    errors.productReferenceField = "Enter a field key such as product";
+  }
+
+  const productMatch = String(formData.get("productMatch"));
+  if (!PRODUCT_MATCH_RULES[productMatch]) {
+    errors.productMatch = "Choose how product names are matched";
+  }
+
+  if (Object.keys(errors).length) return { errors };
+
+  return {
+    settings: {
+      metaobjectType,
+      defaultSort,
+      defaultOrder,
+      pageSize,
+      requiredFields,
+      visibleColumns,
+      corsOrigins: [...new Set(corsOrigins)],
+      productReferenceField,
+      productMatch,
+    },
+  };
+}
+
+/** Whether `shop` lists `origin` among its extra storefront origins. */
+export async function isAllowedOrigin(shop, origin) {
+  const match = await prisma.shopSettings.findFirst({
+    where: { shop, corsOrigins: { has: origin } },
+    select: { id: true },
+  });
+  return Boolean(match);
+}
@@ -0,0 +1,94 @@
+import prisma from "./db.server.js";
+import { adminGraphql } from "./admin-graphql.server.js";
+import { isAllowedOrigin } from "./settings.server.js";
+
+// Storefront origins of every installed shop: its myshopify domain plus the
+// primary and custom domains from the Admin API. They are stored when a shop
+// authenticates and whenever its domains change, so CORS works for a new brand
+// as soon as it installs the app, without a redeploy.
+
+const DOMAINS_QUERY = `#graphql
+  query ShopDomains {
+    shop {
+      myshopifyDomain
+      primaryDomain {
+        url
+      }
+      domains {
+        url
+      }
+    }
+  }`;
+
+function toOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Re-reads the shop's domains and replaces the stored origins. A domain that
+ * moved here from another shop is reassigned to this one.
+ */
+export async function refreshShopDomains(source, shop) {
+  const data = await adminGraphql(source, DOMAINS_QUERY);
+  const origins = new Set(
+    [
+      `https://${data.shop.myshopifyDomain}`,
+      data.shop.primaryDomain?.url,
+      ...(data.shop.domains || []).map((domain) => domain.url),
+    ]
+      .map(toOrigin)
+      .filter(Boolean),
+  );
+
+  await prisma.$transaction([
+    prisma.shopDomain.deleteMany({
+      where: { shop, origin: { notIn: [...origins] } },
+    }),
+    ...[...origins].map((origin) =>
+      prisma.shopDomain.upsert({
+        where: { origin },
+        create: { shop, origin },
+        update: { shop },
+      }),
+    ),
+  ]);
+  return [...origins];
+}
+
+export async function listShopDomains(shop) {
+  const rows = await prisma.shopDomain.findMany({
+    where: { shop },
+    orderBy: { origin: "asc" },
+  });
+  return rows.map((row) => row.origin);
+}
+
+export async function deleteShopDomains(shop) {
+  await prisma.shopDomain.deleteMany({ where: { shop } });
+}
+
+// Local theme development (shopify theme dev) serves from localhost
+function isDevOrigin(origin) {
+  return (
+    process.env.NODE_ENV !== "production" &&
+    /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin)
+  );
+}
+
+/**
+ * Whether `origin` belongs to `shop`, either as one of its domains or as an
+ * extra origin the shop added in settings. Another shop's origins don't count.
+ */
+export async function isStorefrontOrigin(shop, origin) {
+  if (isDevOrigin(origin)) return true;
+  if (!shop) return false;
+  const match = await prisma.shopDomain.findFirst({
+    where: { shop, origin },
+    select: { id: true },
+  });
+  return Boolean(match) || isAllowedOrigin(shop, origin);
+}
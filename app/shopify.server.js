@@ -6,25 +6,65 @@ import {
 } from "@shopify/shopify-app-react-router/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { logger, setLogContext } from "./logger.server";
+import { refreshShopDomains } from "./shop-domains.server";
+
+// SHOPIFY_SCOPES and HOST_NAME are the names the old Express backend read
+export const scopes = (process.env.SCOPES || process.env.SHOPIFY_SCOPES)?.split(
+  ",",
+);
+
+export const appUrl =
+  process.env.SHOPIFY_APP_URL ||
+  (process.env.HOST_NAME ? `https://${process.env.HOST_NAME}` : "");
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
   apiVersion: ApiVersion.October25,
-  scopes: process.env.SCOPES?.split(","),
-  appUrl: process.env.SHOPIFY_APP_URL || "",
+  scopes,
+  appUrl,
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
-  ...(process.env.SHOP_CUSTOM_DOMAIN
-    ? { customShopDomains: [process.env.SHOP_CUSTOM_DOMAIN] }
-    : {}),
+  hooks: {
+    // Storefront origins for CORS, kept current by the domains webhooks
+    afterAuth: async ({ session, admin }) => {
+      await refreshShopDomains(admin, session.shop).catch((err) =>
+        logger.error("Domain refresh failed", {
+          shop: session.shop,
+          error: err,
+        }),
+      );
+    },
+  },
 });
 
+// Every authenticate.* strategy tags the rest of the request's log lines (and
+// metrics) with the shop it authenticated
+function withShopContext(strategies) {
+  return Object.fromEntries(
+    Object.entries(strategies).map(([name, strategy]) => {
+      if (typeof strategy !== "function") {
+        return [name, withShopContext(strategy)];
+      }
+      return [
+        name,
+        async (...args) => {
+          const result = await strategy(...args);
+          const shop = result?.session?.shop ?? result?.shop;
+          if (shop) setLogContext({ shop });
+          return result;
+        },
+      ];
+    }),
+  );
+}
+
 export default shopify;
 export const apiVersion = ApiVersion.October25;
 export const addDocumentResponseHeaders = shopify.addDocumentResponseHeaders;
-export const authenticate = shopify.authenticate;
+export const authenticate = withShopContext(shopify.authenticate);
 export const unauthenticated = shopify.unauthenticated;
 export const login = shopify.login;
 export const registerWebhooks = shopify.registerWebhooks;
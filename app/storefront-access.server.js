@@ -0,0 +1,225 @@
+import prisma from "./db.server.js";
+import { AdminGraphqlError, adminGraphql } from "./admin-graphql.server.js";
+import { cachedForShop, invalidateShop } from "./cache.server.js";
+import { logger } from "./logger.server.js";
+import { toMetaobject } from "./metaobjects.server.js";
+import { getShopSettings } from "./settings.server.js";
+import { apiVersion } from "./shopify.server.js";
+import {
+  COA_METAOBJECTS_QUERY,
+  StorefrontApiError,
+  storefrontQuery,
+} from "./storefront-client.js";
+
+// Headless mode. Turning it on lets the Storefront API read the shop's COA
+// type and issues a Storefront API token, so headless storefronts (and the
+// /api/v1/headless endpoint) read COAs with that public token instead of
+// anything backed by the shop's Admin token.
+
+const TOKEN_TITLE = "COA headless storefronts";
+// Public requests wait on this; give up rather than hang the function
+const STOREFRONT_TIMEOUT_MS = 8000;
+
+export class HeadlessSetupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HeadlessSetupError";
+  }
+}
+
+const DEFINITION_ACCESS_QUERY = `#graphql
+  query CoaDefinitionAccess($type: String!) {
+    metaobjectDefinitionByType(type: $type) {
+      id
+      access {
+        storefront
+      }
+    }
+  }`;
+
+const DEFINITION_ACCESS_MUTATION = `#graphql
+  mutation EnableCoaStorefrontAccess($id: ID!) {
+    metaobjectDefinitionUpdate(
+      id: $id
+      definition: { access: { storefront: PUBLIC_READ } }
+    ) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const TOKEN_CREATE_MUTATION = `#graphql
+  mutation CreateStorefrontToken($input: StorefrontAccessTokenInput!) {
+    storefrontAccessTokenCreate(input: $input) {
+      storefrontAccessToken {
+        id
+        accessToken
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const TOKEN_DELETE_MUTATION = `#graphql
+  mutation DeleteStorefrontToken($input: StorefrontAccessTokenDeleteInput!) {
+    storefrontAccessTokenDelete(input: $input) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+function isAccessDenied(err) {
+  return (
+    err instanceof AdminGraphqlError &&
+    (err.status === 403 ||
+      err.errors.some((error) => error.extensions?.code === "ACCESS_DENIED"))
+  );
+}
+
+function userErrorMessage(userErrors) {
+  return userErrors.map((error) => error.message).join("; ");
+}
+
+export async function getStorefrontAccess(shop) {
+  return prisma.storefrontAccess.findUnique({ where: { shop } });
+}
+
+/** Makes `type` readable by the Storefront API unless it already is. */
+export async function ensureStorefrontReadable(admin, type) {
+  const data = await adminGraphql(admin, DEFINITION_ACCESS_QUERY, { type });
+  const definition = data.metaobjectDefinitionByType;
+  if (!definition) {
+    throw new HeadlessSetupError(`Metaobject type ${type} doesn't exist`);
+  }
+  if (definition.access.storefront === "PUBLIC_READ") return;
+
+  let result;
+  try {
+    result = await adminGraphql(admin, DEFINITION_ACCESS_MUTATION, {
+      id: definition.id,
+    });
+  } catch (err) {
+    // Installs from before the scope was added haven't granted it yet
+    if (isAccessDenied(err)) {
+      throw new HeadlessSetupError(
+        "The app needs permission to edit metaobject definitions. Approve the updated access scopes, then try again.",
+      );
+    }
+    throw err;
+  }
+  const { userErrors } = result.metaobjectDefinitionUpdate;
+  if (userErrors.length) {
+    throw new HeadlessSetupError(userErrorMessage(userErrors));
+  }
+}
+
+/**
+ * Turns headless mode on: opens the shop's COA type to the Storefront API and
+ * issues a token, reusing the one already issued. Safe to call again after
+ * changing the COA type.
+ */
+export async function enableHeadless(admin, shop) {
+  const settings = await getShopSettings(shop);
+  await ensureStorefrontReadable(admin, settings.metaobjectType);
+
+  const existing = await getStorefrontAccess(shop);
+  if (existing) return existing;
+
+  const data = await adminGraphql(admin, TOKEN_CREATE_MUTATION, {
+    input: { title: TOKEN_TITLE },
+  });
+  const { storefrontAccessToken, userErrors } =
+    data.storefrontAccessTokenCreate;
+  if (userErrors.length) {
+    throw new HeadlessSetupError(userErrorMessage(userErrors));
+  }
+
+  const access = await prisma.storefrontAccess.create({
+    data: {
+      shop,
+      tokenId: storefrontAccessToken.id,
+      accessToken: storefrontAccessToken.accessToken,
+    },
+  });
+  logger.info("Headless mode enabled", { shop });
+  return access;
+}
+
+/**
+ * Turns headless mode off and revokes the token. The COA type stays readable
+ * by the Storefront API, since other channels may rely on that.
+ */
+export async function disableHeadless(admin, shop) {
+  const access = await getStorefrontAccess(shop);
+  if (!access) return;
+
+  const data = await adminGraphql(admin, TOKEN_DELETE_MUTATION, {
+    input: { id: access.tokenId },
+  });
+  const { userErrors } = data.storefrontAccessTokenDelete;
+  // A token deleted in Shopify already is as good as revoked
+  if (userErrors.length) {
+    logger.warn("Storefront token delete failed", {
+      shop,
+      error: userErrorMessage(userErrors),
+    });
+  }
+
+  await deleteStorefrontAccess(shop);
+  await invalidateShop(shop);
+  logger.info("Headless mode disabled", { shop });
+}
+
+export async function deleteStorefrontAccess(shop) {
+  await prisma.storefrontAccess.deleteMany({ where: { shop } });
+}
+
+/**
+ * One page of `type` read through the Storefront API with the shop's token,
+ * as raw metaobjects (see toMetaobject) plus the Storefront `pageInfo`.
+ */
+export async function fetchStorefrontMetaobjects(
+  shop,
+  access,
+  type,
+  { first, after = null },
+) {
+  return cachedForShop(
+    shop,
+    `storefront-metaobjects:${type}:${first}:${after ?? ""}`,
+    async () => {
+      const data = await storefrontQuery(
+        {
+          storeDomain: shop,
+          storefrontAccessToken: access.accessToken,
+          apiVersion,
+          fetch: async (url, init) => {
+            try {
+              return await fetch(url, {
+                ...init,
+                signal: AbortSignal.timeout(STOREFRONT_TIMEOUT_MS),
+              });
+            } catch (err) {
+              // Timeouts and dropped connections are Shopify's, not ours
+              throw new StorefrontApiError(
+                err.name === "TimeoutError" || err.name === "AbortError"
+                  ? `Storefront API didn't answer within ${STOREFRONT_TIMEOUT_MS / 1000}s`
+                  : `Storefront API request failed: ${err.message}`,
+              );
+            }
+          },
+        },
+        COA_METAOBJECTS_QUERY,
+        { type, first, after },
+      );
+      const { nodes, pageInfo } = data.metaobjects;
+      return { metaobjects: nodes.map(toMetaobject), pageInfo };
+    },
+  );
+}
@@ -0,0 +1,200 @@
+// Reads certificates of analysis straight from the Shopify Storefront API, for
+// headless storefronts. It has no dependencies and runs anywhere `fetch` does;
+// copy it into your project or download it from <app url>/storefront-client.js.
+//
+// Turn on headless mode on the app's settings page first: that lets the
+// Storefront API read the COA type and issues the token used here.
+//
+//   import { fetchAllCoas, fetchCoaPage } from "./storefront-client.js";
+//
+//   const options = {
+//     storeDomain: "your-store.myshopify.com",
+//     storefrontAccessToken: "<token from the settings page>",
+//   };
+//   const { coas, pageInfo } = await fetchCoaPage({ ...options, first: 25 });
+//   const next = await fetchCoaPage({ ...options, after: pageInfo.endCursor });
+//   for await (const coa of fetchAllCoas(options)) console.log(coa.batch_number);
+//
+// Hydrogen already holds a Storefront client: pass COA_METAOBJECTS_QUERY to
+// `context.storefront.query` and map the nodes with toStorefrontCoa.
+
+export const STOREFRONT_API_VERSION = "2025-10";
+export const DEFAULT_COA_TYPE = "certificates_of_analysis";
+// Records missing these are left out, as on the storefront
+export const DEFAULT_REQUIRED_FIELDS = ["date", "product_name"];
+
+export const COA_METAOBJECTS_QUERY = `#graphql
+  query CoaMetaobjects($type: String!, $first: Int!, $after: String) {
+    metaobjects(
+      type: $type
+      first: $first
+      after: $after
+      sortKey: "updated_at"
+      reverse: true
+    ) {
+      nodes {
+        id
+        handle
+        updatedAt
+        fields {
+          key
+          value
+          reference {
+            ... on GenericFile {
+              url
+              mimeType
+              originalFileSize
+            }
+            ... on MediaImage {
+              image {
+                url
+              }
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }`;
+
+export class StorefrontApiError extends Error {
+  constructor(message, { status = null, errors = [] } = {}) {
+    super(message);
+    this.name = "StorefrontApiError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/** Runs a Storefront API query and returns its `data`. */
+export async function storefrontQuery(
+  {
+    storeDomain,
+    storefrontAccessToken,
+    apiVersion = STOREFRONT_API_VERSION,
+    fetch: fetchFn = fetch,
+  },
+  query,
+  variables = {},
+) {
+  const response = await fetchFn(
+    `https://${storeDomain}/api/${apiVersion}/graphql.json`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Storefront-Access-Token": storefrontAccessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    },
+  );
+  if (!response.ok) {
+    throw new StorefrontApiError(
+      `Storefront API request failed (${response.status})`,
+      { status: response.status },
+    );
+  }
+
+  const body = await response.json();
+  if (body.errors?.length) {
+    throw new StorefrontApiError(
+      body.errors.map((error) => error.message).join("; "),
+      { status: response.status, errors: body.errors },
+    );
+  }
+  return body.data;
+}
+
+function filenameFromUrl(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split("/").pop()) || null;
+  } catch {
+    return null;
+  }
+}
+
+function toPdf(field) {
+  const reference = field?.reference;
+  const url =
+    reference?.url ??
+    reference?.image?.url ??
+    (/^https?:\/\//i.test(field?.value || "") ? field.value : null);
+  if (!url) return null;
+  return {
+    url,
+    filename: filenameFromUrl(url),
+    mime_type: reference?.mimeType ?? null,
+    size: reference?.originalFileSize ?? null,
+  };
+}
+
+/**
+ * A Storefront API metaobject node as a certificate, in the same shape as
+ * the app's /api/v1 responses (less `status`, which needs the shop's
+ * settings). Empty fields are null.
+ */
+export function toStorefrontCoa(node) {
+  const fields = Object.fromEntries(
+    node.fields.map((field) => [field.key, field]),
+  );
+  const value = (key) => fields[key]?.value || null;
+
+  return {
+    id: node.id.split("/").pop(),
+    handle: node.handle,
+    product_name: value("product_name"),
+    batch_number: value("batch_number"),
+    test_date: value("date"),
+    best_by_date: value("best_by_date"),
+    pdf: toPdf(fields.pdf_link),
+    updated_at: node.updatedAt,
+  };
+}
+
+/**
+ * One page of certificates, most recently updated first. Pass
+ * `pageInfo.endCursor` back as `after` for the next page. A page can hold
+ * fewer than `first` certificates when records miss a required field.
+ */
+export async function fetchCoaPage({
+  type = DEFAULT_COA_TYPE,
+  first = 25,
+  after = null,
+  requiredFields = DEFAULT_REQUIRED_FIELDS,
+  ...options
+}) {
+  const data = await storefrontQuery(options, COA_METAOBJECTS_QUERY, {
+    type,
+    first,
+    after,
+  });
+  const { nodes, pageInfo } = data.metaobjects;
+
+  return {
+    coas: nodes
+      .filter((node) =>
+        requiredFields.every((key) =>
+          node.fields.some((field) => field.key === key && field.value),
+        ),
+      )
+      .map(toStorefrontCoa),
+    pageInfo,
+  };
+}
+
+/** Every certificate, fetched a page (of up to 250) at a time. */
+export async function* fetchAllCoas(options) {
+  let after = null;
+  do {
+    const { coas, pageInfo } = await fetchCoaPage({
+      first: 250,
+      ...options,
+      after,
+    });
+    yield* coas;
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+}
@@ -0,0 +1,375 @@
+import { waitUntil } from "@vercel/functions";
+import prisma from "./db.server.js";
+import { resolveFileFields } from "./files.server.js";
+import { logger } from "./logger.server.js";
+import { fetchAllMetaobjects } from "./metaobjects.server.js";
+import {
+  BULK_THRESHOLD,
+  BulkOperationError,
+  countMetaobjects,
+  downloadBulkMetaobjects,
+  fetchBulkOperation,
+  fetchCurrentBulkOperation,
+  startBulkMetaobjectQuery,
+  waitForBulkOperation,
+} from "./bulk.server.js";
+
+// Postgres mirror of each shop's metaobjects. The first read of a type
+// backfills it; after that, reads older than SYNC_INTERVAL pull only records
+// whose updated_at moved, and the metaobjects webhooks apply changes as they
+// happen. Incremental queries can't see deletions, so a full resync (which
+// drops rows Shopify no longer has) runs at least every FULL_SYNC_INTERVAL.
+//
+// Reads don't wait on a sync: they start one behind the response (kept alive
+// with waitUntil, since serverless functions freeze once they've answered)
+// and serve the mirror as it stands. Until the first backfill lands there's
+// nothing worth serving, so reads give it BACKFILL_WAIT_MS and then throw
+// SyncPendingError (storefront endpoints answer 503 with Retry-After) unless
+// the caller accepts a partial mirror.
+
+const SYNC_INTERVAL = Number(process.env.COA_SYNC_INTERVAL) || 300;
+const FULL_SYNC_INTERVAL = Number(process.env.COA_FULL_SYNC_INTERVAL) || 86400;
+const WRITE_BATCH_SIZE = 100;
+// How long a request waits on a bulk operation before leaving it to the webhook
+const BULK_WAIT_MS = Number(process.env.COA_BULK_WAIT_MS) || 45000;
+const BULK_PENDING_TIMEOUT = 3600;
+// A sync still "running" after this long died with its request
+const SYNC_LEASE = 600;
+// How soon reads retry a sync that failed
+const SYNC_RETRY_INTERVAL = 60;
+// What storefront endpoints suggest in Retry-After during the first backfill
+const BACKFILL_RETRY_AFTER = 30;
+// How long a read waits on the first backfill before giving up with a 503
+const BACKFILL_WAIT_MS = Number(process.env.COA_BACKFILL_WAIT_MS) || 5000;
+
+/** The first sync of `type` hasn't finished, so the mirror isn't usable yet. */
+export class SyncPendingError extends Error {
+  constructor(type) {
+    super(`Certificates are still being loaded from Shopify (${type})`);
+    this.name = "SyncPendingError";
+    this.retryAfter = BACKFILL_RETRY_AFTER;
+  }
+}
+
+function secondsSince(date) {
+  return date ? (Date.now() - date.getTime()) / 1000 : Infinity;
+}
+
+function toRow(shop, type, metaobject) {
+  return {
+    shop,
+    type,
+    handle: metaobject.handle,
+    displayName: metaobject.display_name ?? null,
+    fields: metaobject.fields,
+    files: metaobject.files ?? {},
+    shopifyUpdatedAt: new Date(metaobject.updated_at),
+  };
+}
+
+// Same shape as fetchAllMetaobjects, so callers don't care where rows came from
+function fromRow(row) {
+  return {
+    id: row.id,
+    handle: row.handle,
+    display_name: row.displayName,
+    updated_at: row.shopifyUpdatedAt.toISOString(),
+    fields: row.fields,
+    files: row.files,
+  };
+}
+
+async function writeRows(shop, type, metaobjects) {
+  for (let i = 0; i < metaobjects.length; i += WRITE_BATCH_SIZE) {
+    await prisma.$transaction(
+      metaobjects.slice(i, i + WRITE_BATCH_SIZE).map((metaobject) => {
+        const row = toRow(shop, type, metaobject);
+        return prisma.metaobject.upsert({
+          where: { id: metaobject.id },
+          create: { id: metaobject.id, ...row },
+          update: row,
+        });
+      }),
+    );
+  }
+}
+
+export async function getSyncState(shop, type) {
+  return prisma.metaobjectSync.findUnique({
+    where: { shop_type: { shop, type } },
+  });
+}
+
+// Writes a finished fetch to the mirror and records the new sync state
+async function applySync(shop, type, metaobjects, { isFull, previousMark }) {
+  await writeRows(shop, type, metaobjects);
+  if (isFull) {
+    await prisma.metaobject.deleteMany({
+      where: {
+        shop,
+        type,
+        id: { notIn: metaobjects.map((metaobject) => metaobject.id) },
+      },
+    });
+  }
+
+  const newest = metaobjects.reduce((latest, metaobject) => {
+    const updatedAt = new Date(metaobject.updated_at);
+    return !latest || updatedAt > latest ? updatedAt : latest;
+  }, previousMark);
+  const now = new Date();
+
+  return prisma.metaobjectSync.update({
+    where: { shop_type: { shop, type } },
+    data: {
+      status: "idle",
+      error: null,
+      bulkOperationId: null,
+      highWaterMark: newest ?? now,
+      lastSyncedAt: now,
+      ...(isFull ? { lastFullSyncAt: now } : {}),
+      recordCount: await prisma.metaobject.count({ where: { shop, type } }),
+    },
+  });
+}
+
+async function markFailed(shop, type, err) {
+  await prisma.metaobjectSync.update({
+    where: { shop_type: { shop, type } },
+    data: { status: "failed", error: err.message, bulkOperationId: null },
+  });
+}
+
+// A bulk operation started within the last hour that hasn't reported back
+function hasPendingBulkOperation(state) {
+  return (
+    Boolean(state?.bulkOperationId) &&
+    secondsSince(state.updatedAt) < BULK_PENDING_TIMEOUT
+  );
+}
+
+// Starts a bulk query, or adopts the one this type started earlier if Shopify
+// is still running it. Anything else running is another job's; retry later.
+async function startBulkQuery(source, type, state) {
+  try {
+    return await startBulkMetaobjectQuery(source, type);
+  } catch (err) {
+    if (!(err instanceof BulkOperationError) || !err.inProgress) throw err;
+    const current = await fetchCurrentBulkOperation(source);
+    if (current && current.id === state?.bulkOperationId) return current;
+    throw new BulkOperationError(
+      "Another bulk operation is running for this shop; the sync will retry once it finishes",
+    );
+  }
+}
+
+/**
+ * Brings the mirror of `type` up to date. Runs a full backfill the first time,
+ * when `full` is set or when the last full sync is too old; otherwise fetches
+ * only records updated since the high-water mark. Returns the new sync state.
+ *
+ * Full syncs of types above BULK_THRESHOLD go through a bulk operation. If it
+ * outlasts `bulkWaitMs` the state stays "running" and the
+ * bulk_operations/finish webhook completes the sync. When Shopify is already
+ * running this type's earlier bulk query, the sync waits on that one instead.
+ */
+export async function syncMetaobjects(
+  source,
+  shop,
+  type,
+  { full, bulkWaitMs = BULK_WAIT_MS } = {},
+) {
+  const state = await getSyncState(shop, type);
+  const isFull =
+    full ||
+    !state?.highWaterMark ||
+    secondsSince(state.lastFullSyncAt) > FULL_SYNC_INTERVAL;
+
+  await prisma.metaobjectSync.upsert({
+    where: { shop_type: { shop, type } },
+    create: { shop, type, status: "running" },
+    update: { status: "running", error: null },
+  });
+
+  try {
+    let metaobjects;
+    if (isFull && (await countMetaobjects(source, type)) > BULK_THRESHOLD) {
+      const operation = await startBulkQuery(source, type, state);
+      await prisma.metaobjectSync.update({
+        where: { shop_type: { shop, type } },
+        data: { bulkOperationId: operation.id },
+      });
+
+      const finished = await waitForBulkOperation(source, operation.id, {
+        timeout: bulkWaitMs,
+      });
+      if (!finished) return getSyncState(shop, type);
+      metaobjects = await downloadBulkMetaobjects(finished);
+    } else {
+      metaobjects = await fetchAllMetaobjects(source, type, {
+        updatedSince: isFull ? null : state.highWaterMark,
+      });
+    }
+
+    return await applySync(shop, type, metaobjects, {
+      isFull,
+      previousMark: isFull ? null : state.highWaterMark,
+    });
+  } catch (err) {
+    await markFailed(shop, type, err);
+    throw err;
+  }
+}
+
+/**
+ * Completes a sync from a bulk_operations/finish webhook payload. Operations
+ * this app isn't waiting on (or that a poll already applied) are ignored.
+ */
+export async function finishBulkSync(source, shop, payload) {
+  const state = await prisma.metaobjectSync.findFirst({
+    where: { shop, bulkOperationId: payload.admin_graphql_api_id },
+  });
+  if (!state) return null;
+
+  try {
+    const operation = await fetchBulkOperation(source, state.bulkOperationId);
+    const metaobjects = await downloadBulkMetaobjects(operation);
+    return await applySync(shop, state.type, metaobjects, {
+      isFull: true,
+      previousMark: null,
+    });
+  } catch (err) {
+    await markFailed(shop, state.type, err);
+    throw err;
+  }
+}
+
+// Whether a read should start a sync: the mirror is empty or due, and no
+// sync is running or failed moments ago
+function isSyncDue(state) {
+  if (hasPendingBulkOperation(state)) return false;
+  if (
+    state?.status === "running" &&
+    secondsSince(state.updatedAt) < SYNC_LEASE
+  ) {
+    return false;
+  }
+  if (
+    state?.status === "failed" &&
+    secondsSince(state.updatedAt) < SYNC_RETRY_INTERVAL
+  ) {
+    return false;
+  }
+  return (
+    !state?.lastSyncedAt || secondsSince(state.lastSyncedAt) > SYNC_INTERVAL
+  );
+}
+
+// Syncs started by reads in this process, so concurrent reads share one
+const backgroundSyncs = new Map();
+
+// Starts a sync that outlives the request, or returns the one already running
+function syncInBackground(source, shop, type) {
+  const key = `${shop}:${type}`;
+  if (backgroundSyncs.has(key)) return backgroundSyncs.get(key);
+
+  const promise = syncMetaobjects(source, shop, type, { bulkWaitMs: 0 })
+    .catch((err) =>
+      logger.error("Metaobject sync failed", { shop, type, error: err }),
+    )
+    .finally(() => backgroundSyncs.delete(key));
+  backgroundSyncs.set(key, promise);
+  waitUntil(promise);
+  return promise;
+}
+
+// Whether `promise` settles within `ms`
+function settlesWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms, false);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() =>
+    clearTimeout(timer),
+  );
+}
+
+/**
+ * Every metaobject of `type`, read from the mirror, newest first. Starts a
+ * sync behind the response when the mirror is empty or due. Before the first
+ * backfill finishes this waits up to BACKFILL_WAIT_MS for it, then throws
+ * SyncPendingError, or with `partial` returns whatever the mirror holds so far.
+ */
+export async function loadMetaobjects(
+  source,
+  shop,
+  type,
+  { partial = false } = {},
+) {
+  let state = await getSyncState(shop, type);
+  const sync = isSyncDue(state)
+    ? syncInBackground(source, shop, type)
+    : backgroundSyncs.get(`${shop}:${type}`);
+  if (!state?.lastSyncedAt && !partial) {
+    if (sync && (await settlesWithin(sync, BACKFILL_WAIT_MS))) {
+      state = await getSyncState(shop, type);
+    }
+    if (!state?.lastSyncedAt) throw new SyncPendingError(type);
+  }
+
+  const rows = await prisma.metaobject.findMany({
+    where: { shop, type },
+    orderBy: { shopifyUpdatedAt: "desc" },
+  });
+  return rows.map(fromRow);
+}
+
+/**
+ * Applies a metaobjects/create or metaobjects/update webhook payload. Types
+ * the shop never read are ignored, and so are payloads older than the row.
+ * Payloads only carry file GIDs, so file references are resolved through
+ * `source` when there is one and otherwise kept from the existing row.
+ */
+export async function mirrorMetaobject(source, shop, payload) {
+  const state = await getSyncState(shop, payload.type);
+  if (!state) return;
+
+  const existing = await prisma.metaobject.findUnique({
+    where: { id: payload.id },
+    select: { shopifyUpdatedAt: true, fields: true, files: true },
+  });
+  const updatedAt = new Date(payload.updated_at);
+  if (existing && existing.shopifyUpdatedAt > updatedAt) return;
+
+  // Webhooks send non-text values (lists, references) as JSON
+  const fields = Object.fromEntries(
+    Object.entries(payload.fields || {}).map(([key, value]) => [
+      key,
+      value == null || typeof value === "string"
+        ? value
+        : JSON.stringify(value),
+    ]),
+  );
+  const files = source
+    ? await resolveFileFields(source, fields)
+    : Object.fromEntries(
+        Object.entries(existing?.files || {}).filter(
+          ([key]) => existing.fields[key] === fields[key],
+        ),
+      );
+  await writeRows(shop, payload.type, [{ ...payload, fields, files }]);
+}
+
+/**
+ * Writes a record the app itself just saved, in fetchAllMetaobjects' shape, so
+ * it shows up before the webhook for the change arrives.
+ */
+export async function storeMirroredMetaobject(shop, type, metaobject) {
+  const state = await getSyncState(shop, type);
+  if (state) await writeRows(shop, type, [metaobject]);
+}
+
+/** Applies a metaobjects/delete webhook payload. */
+export async function removeMirroredMetaobject(shop, payload) {
+  await prisma.metaobject.deleteMany({ where: { id: payload.id, shop } });
+}
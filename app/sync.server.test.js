@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// A one-shop, one-type stand-in for the mirror tables
+const db = vi.hoisted(() => ({ state: null, rows: [] }));
+const prisma = vi.hoisted(() => ({
+  metaobjectSync: {
+    findUnique: vi.fn(async () => db.state),
+    upsert: vi.fn(async ({ create, update }) => {
+      db.state = db.state
+        ? { ...db.state, ...update, updatedAt: new Date() }
+        : { ...create, updatedAt: new Date() };
+      return db.state;
+    }),
+    update: vi.fn(async ({ data }) => {
+      db.state = { ...db.state, ...data, updatedAt: new Date() };
+      return db.state;
+    }),
+  },
+  metaobject: {
+    findMany: vi.fn(async () => db.rows),
+    deleteMany: vi.fn(),
+    count: vi.fn(async () => db.rows.length),
+  },
+  $transaction: vi.fn(),
+}));
+vi.mock("./db.server.js", () => ({ default: prisma }));
+vi.mock("./metaobjects.server.js", () => ({ fetchAllMetaobjects: vi.fn() }));
+vi.mock("./bulk.server.js", () => ({
+  BULK_THRESHOLD: 1000,
+  BulkOperationError: class BulkOperationError extends Error {},
+  countMetaobjects: vi.fn(async () => 1),
+}));
+vi.mock("@vercel/functions", () => ({ waitUntil: vi.fn() }));
+
+const { waitUntil } = await import("@vercel/functions");
+const { fetchAllMetaobjects } = await import("./metaobjects.server.js");
+const { SyncPendingError, loadMetaobjects } = await import("./sync.server.js");
+
+const TYPE = "certificates_of_analysis";
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// A fetch the test finishes by hand; finishing waits for the sync to land
+function pendingFetch() {
+  let resolve;
+  fetchAllMetaobjects.mockReturnValueOnce(
+    new Promise((done) => (resolve = done)),
+  );
+  return async () => {
+    resolve([]);
+    await vi.waitFor(() => expect(db.state.status).toBe("idle"));
+  };
+}
+
+describe("loadMetaobjects", () => {
+  beforeEach(() => {
+    db.state = null;
+    db.rows = [];
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    fetchAllMetaobjects.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  it("serves the first backfill when it finishes in time", async () => {
+    expect(await loadMetaobjects({}, "fast.myshopify.com", TYPE)).toEqual([]);
+    expect(db.state).toMatchObject({ status: "idle" });
+    expect(waitUntil).toHaveBeenCalledTimes(1);
+  });
+
+  it("throws SyncPendingError while a slow backfill keeps running", async () => {
+    vi.useFakeTimers();
+    const finish = pendingFetch();
+
+    const load = loadMetaobjects({}, "slow.myshopify.com", TYPE);
+    const rejected = expect(load).rejects.toThrow(SyncPendingError);
+    await vi.advanceTimersByTimeAsync(5000);
+    await rejected;
+
+    expect(db.state).toMatchObject({ status: "running" });
+    expect(waitUntil).toHaveBeenCalledWith(expect.any(Promise));
+    await finish();
+  });
+
+  it("returns the partial mirror without waiting", async () => {
+    const finish = pendingFetch();
+
+    expect(
+      await loadMetaobjects({}, "partial.myshopify.com", TYPE, {
+        partial: true,
+      }),
+    ).toEqual([]);
+    await vi.waitFor(() => expect(fetchAllMetaobjects).toHaveBeenCalled());
+    await finish();
+  });
+
+  it("leaves a running sync alone until its lease expires", async () => {
+    db.state = { status: "running", updatedAt: minutesAgo(5) };
+    await expect(
+      loadMetaobjects({}, "leased.myshopify.com", TYPE),
+    ).rejects.toThrow(SyncPendingError);
+    expect(fetchAllMetaobjects).not.toHaveBeenCalled();
+
+    db.state = { status: "running", updatedAt: minutesAgo(11) };
+    await loadMetaobjects({}, "leased.myshopify.com", TYPE);
+    expect(fetchAllMetaobjects).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries a failed sync after a minute", async () => {
+    db.state = { status: "failed", updatedAt: new Date() };
+    await expect(
+      loadMetaobjects({}, "failed.myshopify.com", TYPE),
+    ).rejects.toThrow(SyncPendingError);
+    expect(fetchAllMetaobjects).not.toHaveBeenCalled();
+
+    db.state = { status: "failed", updatedAt: minutesAgo(2) };
+    await loadMetaobjects({}, "failed.myshopify.com", TYPE);
+    expect(fetchAllMetaobjects).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't sync a fresh mirror", async () => {
+    db.state = { status: "idle", lastSyncedAt: new Date() };
+    await loadMetaobjects({}, "fresh.myshopify.com", TYPE);
+
+    expect(fetchAllMetaobjects).not.toHaveBeenCalled();
+    expect(waitUntil).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+import prisma from "./db.server.js";
+import { invalidateShop } from "./cache.server.js";
+import { deleteShopImports } from "./coa-import.server.js";
+import {
+  deleteShopDomains,
+  refreshShopDomains,
+} from "./shop-domains.server.js";
+import { deleteStorefrontAccess } from "./storefront-access.server.js";
+import {
+  finishBulkSync,
+  mirrorMetaobject,
+  removeMirroredMetaobject,
+} from "./sync.server.js";
+
+// Webhook side effects for the webhook routes (app/routes/webhooks.*). The
+// routes verify the HMAC through authenticate.webhook before calling these.
+
+/**
+ * Deletes everything the app holds for the shop. Nothing is kept for a
+ * reinstall: the mirror and sync state would be stale by then, and a shop
+ * that comes back starts from default settings, like a new one.
+ */
+export async function handleAppUninstalled(shop) {
+  // Webhook requests can trigger multiple times and after an app has already
+  // been uninstalled, so the sessions may be gone already.
+  await prisma.session.deleteMany({ where: { shop } });
+  await deleteShopDomains(shop);
+  await deleteShopImports(shop);
+  // Shopify revokes the shop's Storefront tokens along with the install
+  await deleteStorefrontAccess(shop);
+  await prisma.$transaction([
+    prisma.metaobject.deleteMany({ where: { shop } }),
+    prisma.metaobjectSync.deleteMany({ where: { shop } }),
+    prisma.metaobjectExposure.deleteMany({ where: { shop } }),
+    prisma.expiryDigest.deleteMany({ where: { shop } }),
+    prisma.shopSettings.deleteMany({ where: { shop } }),
+  ]);
+  await invalidateShop(shop);
+}
+
+export async function handleScopesUpdate(shop, payload) {
+  await prisma.session.updateMany({
+    where: { shop },
+    data: { scope: payload.current.toString() },
+  });
+}
+
+/** metaobjects/create, metaobjects/update and metaobjects/delete */
+export async function handleMetaobjectChange(shop, payload, topic, admin) {
+  if (topic === "METAOBJECTS_DELETE") {
+    await removeMirroredMetaobject(shop, payload);
+  } else {
+    await mirrorMetaobject(admin, shop, payload);
+  }
+  await invalidateShop(shop);
+}
+
+/** bulk_operations/finish, for backfills that outlasted their request */
+export async function handleBulkOperationFinish(shop, payload, admin) {
+  if (!admin) return;
+  const state = await finishBulkSync(admin, shop, payload);
+  if (state) await invalidateShop(shop);
+}
+
+/** domains/create, domains/update and domains/destroy */
+export async function handleDomainsChange(shop, admin) {
+  if (admin) await refreshShopDomains(admin, shop);
+}
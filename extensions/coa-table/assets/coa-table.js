@@ -0,0 +1,158 @@
+// Renders the paginated COA list from the app proxy into each COA table block.
+(function () {
+  const SEARCH_DELAY_MS = 300;
+
+  function formatDate(value) {
+    if (!value) return "";
+    // Dates are stored as YYYY-MM-DD; parse as UTC so they don't shift a day
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return value;
+    return date.toLocaleDateString(document.documentElement.lang || undefined, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  }
+
+  function renderCell(column, coa, labels) {
+    const cell = document.createElement("td");
+    cell.dataset.column = column;
+
+    if (column === "pdf_link") {
+      if (coa.pdf_link) {
+        const link = document.createElement("a");
+        link.href = coa.pdf_link;
+        link.target = "_blank";
+        link.rel = "noopener";
+        link.textContent = labels.download;
+        cell.append(link);
+      }
+    } else if (column === "date" || column === "best_by_date") {
+      cell.textContent = formatDate(coa[column]);
+    } else {
+      cell.textContent = coa[column] || "";
+    }
+    return cell;
+  }
+
+  function init(root) {
+    const body = root.querySelector("[data-coa-body]");
+    const status = root.querySelector("[data-coa-status]");
+    const pageIndicator = root.querySelector("[data-coa-page]");
+    const prev = root.querySelector("[data-coa-prev]");
+    const next = root.querySelector("[data-coa-next]");
+    const search = root.querySelector("[data-coa-search]");
+    const columns = Array.from(root.querySelectorAll("th[data-column]")).map(
+      (th) => th.dataset.column,
+    );
+    const labels = {
+      download: root.dataset.downloadLabel,
+      loading: root.dataset.loadingLabel,
+      empty: root.dataset.emptyLabel,
+      error: root.dataset.errorLabel,
+      page: root.dataset.pageLabel,
+    };
+    const [sort, order] = (root.dataset.sort || "date:desc").split(":");
+
+    const state = { page: 1, q: "" };
+    let controller;
+
+    async function load() {
+      controller?.abort();
+      controller = new AbortController();
+
+      const params = new URLSearchParams({
+        page: String(state.page),
+        pageSize: root.dataset.pageSize,
+      });
+      // Searches come back ranked by relevance
+      if (state.q) {
+        params.set("q", state.q);
+      } else {
+        params.set("sort", sort);
+        params.set("order", order);
+      }
+
+      status.textContent = labels.loading;
+      root.setAttribute("aria-busy", "true");
+
+      try {
+        const response = await fetch(`${root.dataset.endpoint}?${params}`, {
+          headers: { Accept: "application/json" },
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        render(await response.json());
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        body.replaceChildren();
+        status.textContent = labels.error;
+      } finally {
+        root.removeAttribute("aria-busy");
+      }
+    }
+
+    function render(result) {
+      body.replaceChildren(
+        ...result.items.map((coa) => {
+          const row = document.createElement("tr");
+          row.append(
+            ...columns.map((column) => renderCell(column, coa, labels)),
+          );
+          return row;
+        }),
+      );
+      status.textContent = result.items.length ? "" : labels.empty;
+      pageIndicator.textContent = labels.page
+        .replace("{page}", result.page)
+        .replace("{pages}", result.totalPages);
+      prev.disabled = !result.links.prev;
+      next.disabled = !result.links.next;
+    }
+
+    prev.addEventListener("click", () => {
+      state.page -= 1;
+      load();
+    });
+    next.addEventListener("click", () => {
+      state.page += 1;
+      load();
+    });
+
+    if (search) {
+      let timer;
+      const input = search.querySelector("input");
+      const apply = () => {
+        state.q = input.value.trim();
+        state.page = 1;
+        load();
+      };
+      search.addEventListener("submit", (event) => {
+        event.preventDefault();
+        clearTimeout(timer);
+        apply();
+      });
+      input.addEventListener("input", () => {
+        clearTimeout(timer);
+        timer = setTimeout(apply, SEARCH_DELAY_MS);
+      });
+    }
+
+    load();
+  }
+
+  function initAll(scope) {
+    scope.querySelectorAll("[data-coa-table]").forEach((root) => {
+      if (root.dataset.coaReady) return;
+      root.dataset.coaReady = "true";
+      init(root);
+    });
+  }
+
+  initAll(document);
+  // Re-initialize when the block is added or changed in the theme editor
+  document.addEventListener("shopify:section:load", (event) =>
+    initAll(event.target),
+  );
+})();
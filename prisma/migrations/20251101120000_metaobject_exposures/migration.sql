@@ -0,0 +1,11 @@
+-- Per-shop metaobject types exposed through the app proxy
+CREATE TABLE IF NOT EXISTS "metaobject_exposures" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "type" TEXT NOT NULL,
+  "fields" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "metaobject_exposures_shop_type_key" ON "metaobject_exposures"("shop", "type");
@@ -0,0 +1,16 @@
+-- Per-shop paginator settings
+CREATE TABLE IF NOT EXISTS "shop_settings" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "metaobjectType" TEXT NOT NULL DEFAULT 'certificates_of_analysis',
+  "defaultSort" TEXT NOT NULL DEFAULT 'date',
+  "defaultOrder" TEXT NOT NULL DEFAULT 'desc',
+  "pageSize" INTEGER NOT NULL DEFAULT 25,
+  "requiredFields" TEXT[] NOT NULL DEFAULT ARRAY['date', 'product_name']::TEXT[],
+  "visibleColumns" TEXT[] NOT NULL DEFAULT ARRAY['date', 'product_name', 'batch_number', 'pdf_link', 'best_by_date']::TEXT[],
+  "corsOrigins" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "shop_settings_shop_key" ON "shop_settings"("shop");
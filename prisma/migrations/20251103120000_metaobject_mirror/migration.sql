@@ -0,0 +1,29 @@
+-- Local mirror of shop metaobjects and its sync state
+CREATE TABLE IF NOT EXISTS "metaobjects" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "type" TEXT NOT NULL,
+  "handle" TEXT NOT NULL,
+  "displayName" TEXT,
+  "fields" JSONB NOT NULL,
+  "shopifyUpdatedAt" TIMESTAMP(3) NOT NULL,
+  "syncedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "metaobjects_shop_type_shopifyUpdatedAt_idx" ON "metaobjects"("shop", "type", "shopifyUpdatedAt");
+
+CREATE TABLE IF NOT EXISTS "metaobject_syncs" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "type" TEXT NOT NULL,
+  "status" TEXT NOT NULL DEFAULT 'idle',
+  "error" TEXT,
+  "highWaterMark" TIMESTAMP(3),
+  "lastSyncedAt" TIMESTAMP(3),
+  "lastFullSyncAt" TIMESTAMP(3),
+  "recordCount" INTEGER NOT NULL DEFAULT 0,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "metaobject_syncs_shop_type_key" ON "metaobject_syncs"("shop", "type");
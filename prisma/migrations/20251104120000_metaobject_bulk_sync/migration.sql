@@ -0,0 +1,4 @@
+-- Bulk operation backfills in flight
+ALTER TABLE "metaobject_syncs" ADD COLUMN IF NOT EXISTS "bulkOperationId" TEXT;
+
+CREATE INDEX IF NOT EXISTS "metaobject_syncs_bulkOperationId_idx" ON "metaobject_syncs"("bulkOperationId");
@@ -0,0 +1,3 @@
+-- How product page lookups find a product's COAs
+ALTER TABLE "shop_settings" ADD COLUMN IF NOT EXISTS "productReferenceField" TEXT NOT NULL DEFAULT '';
+ALTER TABLE "shop_settings" ADD COLUMN IF NOT EXISTS "productMatch" TEXT NOT NULL DEFAULT 'exact';
@@ -0,0 +1,5 @@
+-- Resolved file references on mirrored metaobjects
+ALTER TABLE "metaobjects" ADD COLUMN IF NOT EXISTS "files" JSONB NOT NULL DEFAULT '{}';
+
+-- Rows mirrored before this carry no file details; make the next read backfill them
+UPDATE "metaobject_syncs" SET "lastFullSyncAt" = NULL;
@@ -0,0 +1,16 @@
+-- Expiry alert settings and digest history
+ALTER TABLE "shop_settings" ADD COLUMN IF NOT EXISTS "expiringSoonDays" INTEGER NOT NULL DEFAULT 30;
+ALTER TABLE "shop_settings" ADD COLUMN IF NOT EXISTS "alertEmail" TEXT NOT NULL DEFAULT '';
+ALTER TABLE "shop_settings" ADD COLUMN IF NOT EXISTS "alertWebhookUrl" TEXT NOT NULL DEFAULT '';
+
+CREATE TABLE IF NOT EXISTS "expiry_digests" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "expiredCount" INTEGER NOT NULL,
+  "expiringCount" INTEGER NOT NULL,
+  "channels" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+  "error" TEXT,
+  "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS "expiry_digests_shop_sentAt_idx" ON "expiry_digests"("shop", "sentAt");
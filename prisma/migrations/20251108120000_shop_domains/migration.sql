@@ -0,0 +1,10 @@
+-- Storefront origins of installed shops, for CORS
+CREATE TABLE IF NOT EXISTS "shop_domains" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "origin" TEXT NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "shop_domains_origin_key" ON "shop_domains"("origin");
+CREATE INDEX IF NOT EXISTS "shop_domains_shop_idx" ON "shop_domains"("shop");
@@ -0,0 +1,29 @@
+-- CSV/zip imports and the PDFs they carry
+CREATE TABLE IF NOT EXISTS "coa_imports" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "status" TEXT NOT NULL DEFAULT 'draft',
+  "filename" TEXT NOT NULL,
+  "headers" TEXT[],
+  "mapping" JSONB NOT NULL DEFAULT '{}',
+  "dateFormat" TEXT NOT NULL DEFAULT 'iso',
+  "rows" JSONB NOT NULL DEFAULT '[]',
+  "processed" INTEGER NOT NULL DEFAULT 0,
+  "createdCount" INTEGER NOT NULL DEFAULT 0,
+  "updatedCount" INTEGER NOT NULL DEFAULT 0,
+  "failedCount" INTEGER NOT NULL DEFAULT 0,
+  "lockedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "coa_imports_shop_createdAt_idx" ON "coa_imports"("shop", "createdAt");
+
+CREATE TABLE IF NOT EXISTS "coa_import_files" (
+  "id" TEXT PRIMARY KEY,
+  "importId" TEXT NOT NULL REFERENCES "coa_imports"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+  "filename" TEXT NOT NULL,
+  "data" BYTEA NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "coa_import_files_importId_filename_key" ON "coa_import_files"("importId", "filename");
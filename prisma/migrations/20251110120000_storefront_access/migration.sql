@@ -0,0 +1,11 @@
+-- Storefront API tokens issued for headless mode
+CREATE TABLE IF NOT EXISTS "storefront_access" (
+  "id" TEXT PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "tokenId" TEXT NOT NULL,
+  "accessToken" TEXT NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "storefront_access_shop_key" ON "storefront_access"("shop");
@@ -0,0 +1,7 @@
+/** @type {import('@react-router/dev/config').Config} */
+export default {
+  future: {
+    // Root middleware gives every request an id and its log context
+    v8_middleware: true,
+  },
+};
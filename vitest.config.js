@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests for the server modules. They run without vite.config.js: the
+// React Router plugin there is only needed to build the app.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});